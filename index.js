@@ -1,566 +1,7144 @@
 // Install dependencies:
-// npm install telegraf axios mongoose dotenv express
+// npm install telegraf axios mongoose dotenv express exceljs cron-parser chart.js @napi-rs/canvas prom-client
 
 require('dotenv').config();
-const { Telegraf, Markup } = require('telegraf');
+const { Telegraf, Markup, Scenes, session } = require('telegraf');
 const axios = require('axios');
 const mongoose = require('mongoose');
 const express = require('express');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cronParser = require('cron-parser');
+const { Chart } = require('chart.js/auto');
+const { createCanvas } = require('@napi-rs/canvas');
+const promClient = require('prom-client');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Logging
+// One JSON object per line on stdout (stderr for errors). Entries logged while
+// an update is handled carry its correlationId, including work it started.
+const LOG_LEVELS = { 'debug': 10, 'info': 20, 'warn': 30, 'error': 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+const logContext = new AsyncLocalStorage();
+
+const serializeError = (error) => {
+  if (!(error instanceof Error)) return error;
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.category && { category: error.category }),
+    ...((error.status ?? error.code) != null && { code: error.status ?? error.code }),
+    stack: error.stack
+  };
+};
+
+const writeLog = (level, message, fields = {}) => {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...logContext.getStore(),
+    ...fields
+  };
+  if (fields.error) entry.error = serializeError(fields.error);
+  
+  (level === 'error' ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = Object.fromEntries(
+  Object.keys(LOG_LEVELS).map(level => [level, (message, fields) => writeLog(level, message, fields)])
+);
 
 // MongoDB Schema
+const DEFAULT_BASE_URL = process.env.API_BASE_URL || 'http://localhost:5000/api/v1';
+const DEFAULT_PROFILE_NAME = 'default';
+
+// Named API credentials; a client switches between them with /profile use
+const profileSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  apiToken: { type: String, required: true },
+  tokenHint: { type: String },
+  // SHA-256 of the plaintext token; backend events name their owner by it
+  tokenFingerprint: { type: String, index: true },
+  baseUrl: { type: String, default: DEFAULT_BASE_URL },
+  // Set by the credential checker: healthy, expired (token rejected) or unreachable
+  credentialStatus: { type: String, enum: ['healthy', 'expired', 'unreachable'], default: 'healthy' },
+  credentialCheckedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Lead list filters; field names mirror the filter builder, not the API
+const leadFilterSchema = new mongoose.Schema({
+  search: { type: String },
+  platform: { type: String },
+  minFollowers: { type: Number },
+  maxFollowers: { type: Number },
+  hasEmail: { type: Boolean },
+  outreachReady: { type: Boolean },
+  jobId: { type: String },
+  sort: { type: String }
+}, { _id: false });
+
+const savedFilterSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  filter: { type: leadFilterSchema, default: () => ({}) },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Outreach messages with {{placeholders}} filled from a lead
+const messageTemplateSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  body: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
 const clientSchema = new mongoose.Schema({
   telegramId: { type: String, required: true, unique: true },
-  apiToken: { type: String, required: true },
-  baseUrl: { type: String, default: 'http://localhost:5000/api/v1' },
+  profiles: [profileSchema],
+  savedFilters: [savedFilterSchema],
+  templates: [messageTemplateSchema],
+  activeProfile: { type: String, default: DEFAULT_PROFILE_NAME },
+  pageSize: { type: Number, default: 10, min: 1, max: 50 },
+  timezone: { type: String, default: 'UTC' },
+  // Set with /language; null follows the Telegram app's language
+  language: { type: String, default: null },
+  chartOutput: { type: Boolean, default: true },
+  digest: {
+    enabled: { type: Boolean, default: false },
+    frequency: { type: String, enum: ['daily', 'weekly'], default: 'daily' },
+    time: { type: String, default: '09:00' },
+    chatId: { type: Number },
+    nextAt: { type: Date }
+  },
+  // Set from the admin API; blockedAt when a broadcast found the bot blocked
+  revokedAt: { type: Date, default: null },
+  reverifyRequired: { type: Boolean, default: false },
+  blockedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now },
   lastUsed: { type: Date, default: Date.now }
 });
 
+// The profile API calls use: the active one, unless getClient pinned another
+clientSchema.virtual('profile').get(function () {
+  const name = this.$locals.profileName || this.activeProfile;
+  return this.profiles.find(profile => profile.name === name);
+});
+
 const Client = mongoose.model('Client', clientSchema);
 
+// Jobs being tracked after a run, so progress survives bot restarts
+const jobWatchSchema = new mongoose.Schema({
+  telegramId: { type: String, required: true },
+  profileName: { type: String },
+  chatId: { type: Number, required: true },
+  jobId: { type: String, required: true },
+  jobName: { type: String },
+  messageId: { type: Number, required: true },
+  lastStatus: { type: String },
+  lastUsersStored: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+jobWatchSchema.index({ chatId: 1, jobId: 1 }, { unique: true });
+
+const JobWatch = mongoose.model('JobWatch', jobWatchSchema);
+
+// One-off or cron-based job runs; nextRunAt doubles as the claim token between instances
+const scheduleSchema = new mongoose.Schema({
+  telegramId: { type: String, required: true },
+  profileName: { type: String },
+  chatId: { type: Number, required: true },
+  jobId: { type: String, required: true },
+  jobName: { type: String },
+  type: { type: String, enum: ['once', 'cron'], required: true },
+  cron: { type: String },
+  runAt: { type: Date },
+  timezone: { type: String, default: 'UTC' },
+  paused: { type: Boolean, default: false },
+  nextRunAt: { type: Date },
+  lastRunAt: { type: Date },
+  lastStatus: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+scheduleSchema.index({ paused: 1, nextRunAt: 1 });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+// Group chats sharing one set of credentials; the credentials live in a Client keyed by chatId
+const workspaceMemberSchema = new mongoose.Schema({
+  telegramId: { type: String, required: true },
+  name: { type: String },
+  role: { type: String, enum: ['owner', 'admin', 'operator', 'viewer'], required: true },
+  addedAt: { type: Date, default: Date.now }
+});
+
+const workspaceSchema = new mongoose.Schema({
+  chatId: { type: Number, required: true, unique: true },
+  title: { type: String },
+  defaultRole: { type: String, enum: ['none', 'operator', 'viewer'], default: 'viewer' },
+  members: [workspaceMemberSchema],
+  createdAt: { type: Date, default: Date.now }
+});
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+// Who did what through the bot. Entries expire after AUDIT_RETENTION_DAYS; the TTL
+// index is synced on startup, so changing the setting also applies to existing entries.
+const AUDIT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 90;
+
+const auditEntrySchema = new mongoose.Schema({
+  accountId: { type: String, required: true },
+  actorId: { type: String },
+  actorName: { type: String },
+  chatId: { type: Number },
+  action: { type: String, required: true },
+  resourceId: { type: String },
+  status: { type: Number },
+  success: { type: Boolean, default: true },
+  detail: { type: String },
+  createdAt: { type: Date, default: Date.now, expires: AUDIT_RETENTION_DAYS * 24 * 60 * 60 }
+});
+
+auditEntrySchema.index({ accountId: 1, createdAt: -1 });
+
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+
+// Periodic /stats snapshots per profile, kept for 90 days; digest marks the ones sent as digests
+const statsSnapshotSchema = new mongoose.Schema({
+  telegramId: { type: String, required: true },
+  profileName: { type: String, required: true },
+  stats: { type: Object, default: {} },
+  digest: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now, expires: 90 * 24 * 60 * 60 }
+});
+
+statsSnapshotSchema.index({ telegramId: 1, profileName: 1, createdAt: -1 });
+
+const StatsSnapshot = mongoose.model('StatsSnapshot', statsSnapshotSchema);
+
+// CRM data for leads, per account; the lead fields are copied for the /pipeline lists
+const leadNoteSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+  authorId: { type: String },
+  authorName: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const leadRecordSchema = new mongoose.Schema({
+  accountId: { type: String, required: true },
+  leadId: { type: String, required: true },
+  username: { type: String },
+  fullName: { type: String },
+  platform: { type: String },
+  followers: { type: Number },
+  stage: { type: String, enum: ['new', 'contacted', 'replied', 'won', 'lost'], default: 'new' },
+  tags: [{ type: String }],
+  notes: [leadNoteSchema],
+  updatedAt: { type: Date, default: Date.now }
+});
+
+leadRecordSchema.index({ accountId: 1, leadId: 1 }, { unique: true });
+leadRecordSchema.index({ accountId: 1, stage: 1, updatedAt: -1 });
+leadRecordSchema.index({ accountId: 1, tags: 1, updatedAt: -1 });
+
+const LeadRecord = mongoose.model('LeadRecord', leadRecordSchema);
+
+// Follow-up reminders; sentAt is set when a bot instance claims the reminder
+const reminderSchema = new mongoose.Schema({
+  accountId: { type: String, required: true },
+  leadId: { type: String, required: true },
+  username: { type: String },
+  telegramId: { type: String, required: true },
+  name: { type: String },
+  chatId: { type: Number, required: true },
+  remindAt: { type: Date, required: true },
+  sentAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+reminderSchema.index({ sentAt: 1, remindAt: 1 });
+
+const Reminder = mongoose.model('Reminder', reminderSchema);
+
+// Messages sent to users from the admin API, with delivery counts
+const broadcastSchema = new mongoose.Schema({
+  text: { type: String, required: true },
+  filter: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  status: { type: String, enum: ['running', 'finished', 'failed'], default: 'running' },
+  total: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  blocked: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  failures: [{ telegramId: String, error: String, _id: false }],
+  // Why a broadcast failed as a whole
+  error: { type: String },
+  // Refreshed while sending; a running broadcast with an old heartbeat lost its process
+  heartbeatAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date }
+});
+
+const Broadcast = mongoose.model('Broadcast', broadcastSchema);
+
+// Token Encryption
+// API tokens are stored as enc:<keyId>:<iv>:<tag>:<ciphertext> using AES-256-GCM.
+// Key rotation without downtime:
+//   1. Add the new key to TOKEN_ENCRYPTION_PREVIOUS_KEYS on every instance.
+//   2. Make it TOKEN_ENCRYPTION_KEY and move the old key to TOKEN_ENCRYPTION_PREVIOUS_KEYS.
+//      On startup every record not using the current key is re-encrypted.
+//   3. Once the re-encryption log shows 0 remaining, drop the old key.
+const ENCRYPTED_TOKEN_PREFIX = 'enc:';
+
+// Keys are 32 bytes, given as 64 hex characters or base64
+const parseEncryptionKey = (value) => {
+  const key = /^[0-9a-f]{64}$/i.test(value)
+    ? Buffer.from(value, 'hex')
+    : Buffer.from(value, 'base64');
+  
+  if (key.length !== 32) {
+    throw new Error('Token encryption keys must be 32 bytes (64 hex characters or base64)');
+  }
+  
+  return {
+    id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8),
+    key
+  };
+};
+
+if (!process.env.TOKEN_ENCRYPTION_KEY) {
+  logger.error('TOKEN_ENCRYPTION_KEY is not set');
+  process.exit(1);
+}
+
+const currentEncryptionKey = parseEncryptionKey(process.env.TOKEN_ENCRYPTION_KEY);
+const encryptionKeys = new Map([[currentEncryptionKey.id, currentEncryptionKey.key]]);
+
+(process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+  .split(',')
+  .map(value => value.trim())
+  .filter(Boolean)
+  .forEach(value => {
+    const { id, key } = parseEncryptionKey(value);
+    if (!encryptionKeys.has(id)) encryptionKeys.set(id, key);
+  });
+
+const encryptToken = (token) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', currentEncryptionKey.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+  
+  return ENCRYPTED_TOKEN_PREFIX + [
+    currentEncryptionKey.id,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+};
+
+// Plaintext values from before encryption was introduced pass through unchanged
+const decryptToken = (stored) => {
+  if (!stored.startsWith(ENCRYPTED_TOKEN_PREFIX)) return stored;
+  
+  const [keyId, iv, tag, ciphertext] = stored.slice(ENCRYPTED_TOKEN_PREFIX.length).split(':');
+  const key = encryptionKeys.get(keyId);
+  if (!key) {
+    throw new Error(`No token encryption key available for key id ${keyId}`);
+  }
+  
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+const tokenHint = (token) => token.slice(-4);
+
+const tokenFingerprint = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Constant-time check of a presented secret; hashing first gives timingSafeEqual
+// equal-length buffers whatever the input, non-ASCII included
+const secretMatches = (received, expected) => crypto.timingSafeEqual(
+  crypto.createHash('sha256').update(received).digest(),
+  crypto.createHash('sha256').update(expected).digest()
+);
+
+const maskToken = (profile) => `••••••••${profile.tokenHint || ''}`;
+
+// Encrypt plaintext records and re-encrypt those still using a previous key;
+// also backfills fingerprints for profiles saved before they were stored
+const reencryptTokens = async () => {
+  const currentKeyPattern = new RegExp(`^${ENCRYPTED_TOKEN_PREFIX}${currentEncryptionKey.id}:`);
+  const pending = Client.find({
+    $or: [
+      { profiles: { $elemMatch: { apiToken: { $not: currentKeyPattern } } } },
+      { profiles: { $elemMatch: { tokenFingerprint: { $exists: false } } } }
+    ]
+  }).cursor();
+  
+  let updated = 0;
+  let failed = 0;
+  
+  for await (const client of pending) {
+    for (const profile of client.profiles) {
+      if (currentKeyPattern.test(profile.apiToken) && profile.tokenFingerprint) continue;
+      
+      try {
+        const token = decryptToken(profile.apiToken);
+        // Only overwrite if /settoken hasn't replaced the token in the meantime
+        await Client.updateOne(
+          { _id: client._id },
+          {
+            $set: {
+              'profiles.$[p].apiToken': encryptToken(token),
+              'profiles.$[p].tokenHint': tokenHint(token),
+              'profiles.$[p].tokenFingerprint': tokenFingerprint(token)
+            }
+          },
+          { arrayFilters: [{ 'p._id': profile._id, 'p.apiToken': profile.apiToken }] }
+        );
+        updated++;
+      } catch (error) {
+        logger.error('Token re-encryption failed', { telegramId: client.telegramId, profile: profile.name, error });
+        failed++;
+      }
+    }
+  }
+  
+  logger.info('Token re-encryption finished', { updated, remaining: failed });
+};
+
+// Move single-token records from before profiles into a "default" profile
+const migrateLegacyProfiles = async () => {
+  const legacy = Client.collection.find({
+    apiToken: { $exists: true },
+    profiles: { $exists: false }
+  });
+  
+  let migrated = 0;
+  
+  for await (const doc of legacy) {
+    await Client.collection.updateOne(
+      { _id: doc._id, profiles: { $exists: false } },
+      {
+        $set: {
+          profiles: [{
+            _id: new mongoose.Types.ObjectId(),
+            name: DEFAULT_PROFILE_NAME,
+            apiToken: doc.apiToken,
+            tokenHint: doc.tokenHint,
+            baseUrl: doc.baseUrl || DEFAULT_BASE_URL,
+            createdAt: doc.createdAt || new Date()
+          }],
+          activeProfile: DEFAULT_PROFILE_NAME
+        },
+        $unset: { apiToken: '', tokenHint: '', baseUrl: '' }
+      }
+    );
+    migrated++;
+  }
+  
+  if (migrated > 0) {
+    logger.info('Moved clients to API profiles', { migrated });
+  }
+};
+
 // Connect to MongoDB
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ MongoDB Connected'))
-  .catch(err => console.error('❌ MongoDB Error:', err));
+  .then(async () => {
+    logger.info('MongoDB connected');
+    await migrateLegacyProfiles();
+    await reencryptTokens();
+    await AuditEntry.syncIndexes();
+  })
+  .catch(error => logger.error('MongoDB connection failed', { error }));
 
 // Initialize bot
 const bot = new Telegraf(process.env.BOT_TOKEN);
 
+// Metrics
+// Served in the Prometheus text format on GET /metrics
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+const ACTIVE_USER_WINDOWS = { '5m': 5 * 60 * 1000, '1h': 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000 };
+// Last update per Telegram user, for bot_active_users; kept for the longest window
+const seenUsers = new Map();
+
+const updatesTotal = new promClient.Counter({
+  name: 'bot_updates_total',
+  help: 'Telegram updates handled, by handler and outcome',
+  labelNames: ['handler', 'outcome'],
+  registers: [metricsRegistry]
+});
+
+const updateDuration = new promClient.Histogram({
+  name: 'bot_update_duration_seconds',
+  help: 'Time spent handling a Telegram update',
+  labelNames: ['handler'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [metricsRegistry]
+});
+
+const lastUpdateTimestamp = new promClient.Gauge({
+  name: 'bot_last_update_timestamp_seconds',
+  help: 'When the last Telegram update arrived',
+  registers: [metricsRegistry]
+});
+
+const apiRequestsTotal = new promClient.Counter({
+  name: 'bot_api_requests_total',
+  help: 'Backend API calls by endpoint, method and status (network or timeout when there was no response)',
+  labelNames: ['endpoint', 'method', 'status'],
+  registers: [metricsRegistry]
+});
+
+const apiRequestDuration = new promClient.Histogram({
+  name: 'bot_api_request_duration_seconds',
+  help: 'Backend API call latency, per attempt',
+  labelNames: ['endpoint', 'method'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15],
+  registers: [metricsRegistry]
+});
+
+new promClient.Gauge({
+  name: 'bot_mongodb_connection_state',
+  help: 'Mongoose connection state: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting',
+  registers: [metricsRegistry],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  }
+});
+
+new promClient.Gauge({
+  name: 'bot_active_users',
+  help: 'Telegram users who sent an update to this instance within the window',
+  labelNames: ['window'],
+  registers: [metricsRegistry],
+  collect() {
+    const now = Date.now();
+    const longest = Math.max(...Object.values(ACTIVE_USER_WINDOWS));
+    for (const [userId, seenAt] of seenUsers) {
+      if (now - seenAt > longest) seenUsers.delete(userId);
+    }
+    
+    for (const [window, ms] of Object.entries(ACTIVE_USER_WINDOWS)) {
+      let count = 0;
+      for (const seenAt of seenUsers.values()) {
+        if (now - seenAt <= ms) count++;
+      }
+      this.set({ window }, count);
+    }
+  }
+});
+
+// Low-cardinality name for what the update asked for: the command, the menu
+// button, or the callback data up to its first id or argument
+const updateHandlerLabel = (ctx) => {
+  if (ctx.callbackQuery) {
+    const data = ctx.callbackQuery.data || '';
+    const segments = data.split('_');
+    const end = segments.findIndex(segment => !/^[a-z]+$/.test(segment));
+    return `action:${segments.slice(0, end === -1 ? 2 : Math.min(end, 2)).join('_') || 'other'}`;
+  }
+  
+  const text = ctx.message?.text;
+  if (text?.startsWith('/')) {
+    const command = text.slice(1).split(/[\s@]/)[0].toLowerCase();
+    return `command:${/^[a-z_]{1,32}$/.test(command) ? command : 'other'}`;
+  }
+  // Counted under the English label whatever language the keyboard was in
+  const menuKey = text && MAIN_MENU_LAYOUT.flat().find(key => menuLabels(key).includes(text));
+  if (menuKey) return `menu:${translate(DEFAULT_LANGUAGE, menuKey).replace(/^\W+\s*/u, '')}`;
+  if (ctx.message) return `message:${ctx.message.document ? 'document' : ctx.message.text ? 'text' : 'other'}`;
+  return ctx.updateType;
+};
+
+// Runs first: times the update and gives its logs a correlation id
+bot.use(async (ctx, next) => {
+  const handler = updateHandlerLabel(ctx);
+  const context = {
+    correlationId: crypto.randomUUID(),
+    updateId: ctx.update.update_id,
+    userId: ctx.from?.id,
+    chatId: ctx.chat?.id
+  };
+  
+  lastUpdateTimestamp.setToCurrentTime();
+  if (ctx.from) seenUsers.set(ctx.from.id, Date.now());
+  
+  return logContext.run(context, async () => {
+    const startedAt = Date.now();
+    let outcome = 'ok';
+    
+    try {
+      await next();
+    } catch (error) {
+      outcome = 'error';
+      logger.error('Update failed', { handler, error });
+      throw error;
+    } finally {
+      const durationMs = Date.now() - startedAt;
+      updatesTotal.inc({ handler, outcome });
+      updateDuration.observe({ handler }, durationMs / 1000);
+      logger.info('Update handled', { handler, outcome, durationMs });
+    }
+  });
+});
+
+// Localization
+// Messages are looked up by key in the user's language, falling back to English.
+// The language is the one saved with /language, else the Telegram app's language.
+// Numbers and dates follow the language of the update being handled, or of the
+// client for background work run through withLanguage.
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGE_CACHE_TTL = 60 * 1000;
+
+const LANGUAGES = {
+  'en': { name: 'English', locale: 'en-US' },
+  'es': { name: 'Español', locale: 'es-ES' },
+  'hi': { name: 'हिन्दी', locale: 'hi-IN' }
+};
+
+const MESSAGES = {
+  'en': {
+    'menu.jobs': '📊 Jobs',
+    'menu.targets': '🎯 Targets',
+    'menu.leads': '👥 Leads',
+    'menu.content': '📈 Content Analysis',
+    'menu.stats': '📉 Statistics',
+    'menu.settings': '⚙️ Settings',
+    'menu.cancel': '❌ Cancel',
+    'token_required': '❌ Please set your token first: /settoken',
+    'error': '❌ An error occurred. Please try again.',
+    'cancelled': 'Operation cancelled.',
+    'choose_option': 'Choose an option:',
+    'start.welcome':
+      '👋 Welcome to the API Management Bot!\n\n' +
+      '🔑 To get started, please set your API token using:\n' +
+      '/settoken YOUR_API_TOKEN\n\n' +
+      '📝 Example:\n' +
+      '/settoken abc123def456',
+    'start.welcome_back':
+      '✅ Welcome back!\n\n' +
+      '🆔 Your ID: {name}\n' +
+      '{profile}' +
+      '📅 Last used: {lastUsed}\n\n' +
+      'Choose an option below, or type /help for commands:',
+    'jobs.menu': '📊 Job Management\n{profile}\nChoose an action:',
+    'targets.menu': '🎯 Target Management\n{profile}\nChoose an action:',
+    'leads.menu': '👥 Leads Management\n{profile}\nChoose an option:',
+    'content.loading': '👁️ Loading content analysis...',
+    'help.title': '📖 Commands',
+    'help.footer': '<id> is required, [page] is optional.',
+    'language.prompt': '🗣️ Language: {name}\n\nChoose the language for menus and messages:',
+    'language.saved': '✅ Language set to {name}.',
+    'language.unknown': '❌ Unknown language. Available: {codes}'
+  },
+  'es': {
+    'menu.jobs': '📊 Trabajos',
+    'menu.targets': '🎯 Objetivos',
+    'menu.leads': '👥 Prospectos',
+    'menu.content': '📈 Análisis de contenido',
+    'menu.stats': '📉 Estadísticas',
+    'menu.settings': '⚙️ Ajustes',
+    'menu.cancel': '❌ Cancelar',
+    'token_required': '❌ Primero configura tu token: /settoken',
+    'error': '❌ Ocurrió un error. Inténtalo de nuevo.',
+    'cancelled': 'Operación cancelada.',
+    'choose_option': 'Elige una opción:',
+    'start.welcome':
+      '👋 ¡Bienvenido al bot de gestión de la API!\n\n' +
+      '🔑 Para empezar, configura tu token de API con:\n' +
+      '/settoken TU_TOKEN_DE_API\n\n' +
+      '📝 Ejemplo:\n' +
+      '/settoken abc123def456',
+    'start.welcome_back':
+      '✅ ¡Bienvenido de nuevo!\n\n' +
+      '🆔 Tu ID: {name}\n' +
+      '{profile}' +
+      '📅 Último uso: {lastUsed}\n\n' +
+      'Elige una opción abajo o escribe /help para ver los comandos:',
+    'jobs.menu': '📊 Gestión de trabajos\n{profile}\nElige una acción:',
+    'targets.menu': '🎯 Gestión de objetivos\n{profile}\nElige una acción:',
+    'leads.menu': '👥 Gestión de prospectos\n{profile}\nElige una opción:',
+    'content.loading': '👁️ Cargando el análisis de contenido...',
+    'help.title': '📖 Comandos',
+    'help.footer': '<id> es obligatorio, [page] es opcional.',
+    'language.prompt': '🗣️ Idioma: {name}\n\nElige el idioma de los menús y mensajes:',
+    'language.saved': '✅ Idioma cambiado a {name}.',
+    'language.unknown': '❌ Idioma desconocido. Disponibles: {codes}'
+  },
+  'hi': {
+    'menu.jobs': '📊 जॉब्स',
+    'menu.targets': '🎯 टारगेट',
+    'menu.leads': '👥 लीड्स',
+    'menu.content': '📈 कंटेंट विश्लेषण',
+    'menu.stats': '📉 आँकड़े',
+    'menu.settings': '⚙️ सेटिंग्स',
+    'menu.cancel': '❌ रद्द करें',
+    'token_required': '❌ पहले अपना टोकन सेट करें: /settoken',
+    'error': '❌ कोई त्रुटि हुई। कृपया फिर से कोशिश करें।',
+    'cancelled': 'कार्रवाई रद्द की गई।',
+    'choose_option': 'कोई विकल्प चुनें:',
+    'start.welcome':
+      '👋 API मैनेजमेंट बॉट में आपका स्वागत है!\n\n' +
+      '🔑 शुरू करने के लिए, अपना API टोकन सेट करें:\n' +
+      '/settoken YOUR_API_TOKEN\n\n' +
+      '📝 उदाहरण:\n' +
+      '/settoken abc123def456',
+    'start.welcome_back':
+      '✅ फिर से स्वागत है!\n\n' +
+      '🆔 आपकी ID: {name}\n' +
+      '{profile}' +
+      '📅 पिछला उपयोग: {lastUsed}\n\n' +
+      'नीचे कोई विकल्प चुनें, या कमांड देखने के लिए /help लिखें:',
+    'jobs.menu': '📊 जॉब मैनेजमेंट\n{profile}\nकोई कार्रवाई चुनें:',
+    'targets.menu': '🎯 टारगेट मैनेजमेंट\n{profile}\nकोई कार्रवाई चुनें:',
+    'leads.menu': '👥 लीड्स मैनेजमेंट\n{profile}\nकोई विकल्प चुनें:',
+    'content.loading': '👁️ कंटेंट विश्लेषण लोड हो रहा है...',
+    'help.title': '📖 कमांड',
+    'help.footer': '<id> ज़रूरी है, [page] वैकल्पिक है।',
+    'language.prompt': '🗣️ भाषा: {name}\n\nमेनू और संदेशों की भाषा चुनें:',
+    'language.saved': '✅ भाषा {name} पर सेट की गई।',
+    'language.unknown': '❌ अज्ञात भाषा। उपलब्ध: {codes}'
+  }
+};
+
+// For background work, where there is no ctx; pass the client's saved language
+const translate = (language, key, vars = {}) => {
+  const text = MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match);
+};
+
+const userLanguage = (ctx) => ctx.state?.language || DEFAULT_LANGUAGE;
+
+const t = (ctx, key, vars) => translate(userLanguage(ctx), key, vars);
+
+// The label in every language, so a keyboard keeps working after a language change
+const menuLabels = (key) => Object.keys(LANGUAGES).map(language => translate(language, key));
+
+const languageContext = new AsyncLocalStorage();
+
+const currentLanguage = () => languageContext.getStore() || DEFAULT_LANGUAGE;
+
+const withLanguage = (language, fn) => {
+  return languageContext.run(LANGUAGES[language] ? language : DEFAULT_LANGUAGE, fn);
+};
+
+const currentLocale = () => LANGUAGES[currentLanguage()].locale;
+
+const formatNumber = (value) => Number(value || 0).toLocaleString(currentLocale());
+
+const formatDate = (date, timezone = 'UTC', options = {}) => {
+  return new Date(date).toLocaleString(currentLocale(), { timeZone: timezone, ...options });
+};
+
+// "es-MX" and "es" both pick Spanish
+const detectLanguage = (languageCode) => {
+  const base = (languageCode || '').split('-')[0].toLowerCase();
+  return LANGUAGES[base] ? base : DEFAULT_LANGUAGE;
+};
+
+// Saved choices per Telegram user, so updates don't each read the Client
+const languageCache = new Map();
+
+const savedLanguage = async (telegramId) => {
+  const cached = languageCache.get(telegramId);
+  if (cached && Date.now() - cached.loadedAt < LANGUAGE_CACHE_TTL) return cached.language;
+  
+  const client = await Client.findOne({ telegramId }, 'language');
+  const language = LANGUAGES[client?.language] ? client.language : null;
+  languageCache.set(telegramId, { language, loadedAt: Date.now() });
+  return language;
+};
+
+// Runs before the scenes so wizard steps see the language too
+bot.use(async (ctx, next) => {
+  if (!ctx.from) return next();
+  
+  const telegramId = ctx.from.id.toString();
+  ctx.state.language = await savedLanguage(telegramId) || detectLanguage(ctx.from.language_code);
+  return withLanguage(ctx.state.language, next);
+});
+
+// Session and scenes for multi-step conversations
+const stage = new Scenes.Stage([], { ttl: 15 * 60 });
+bot.use(session());
+bot.use(stage.middleware());
+
 // Helper Functions
 const reactToMessage = async (ctx, emoji) => {
   try {
     await ctx.setMessageReaction(emoji);
   } catch (error) {
     // Silently fail if reactions not supported
-    console.log('Reaction not supported in this chat');
+    logger.debug('Reaction not supported in this chat', { chatId: ctx.chat?.id });
   }
 };
 
-const getClient = async (telegramId) => {
-  return await Client.findOne({ telegramId: telegramId.toString() });
+// The account a chat works on: the user's own in private chats, the workspace's in groups
+const accountId = (ctx) => (ctx.chat?.id ?? ctx.from.id).toString();
+
+// Resolves to null when the user has no usable profile.
+// Pass profileName to pin a profile other than the active one.
+const getClient = async (telegramId, profileName = null) => {
+  const client = await Client.findOne({ telegramId: telegramId.toString() });
+  if (!client) return null;
+  
+  if (profileName) client.$locals.profileName = profileName;
+  return client.profile ? client : null;
+};
+
+const profileLine = (client) => `🔌 Profile: ${client.profile.name}\n`;
+
+// API Client
+// Timeouts, retries with backoff, Retry-After handling, a short GET cache and
+// batched lastUsed writes. Failures are thrown as ApiError with a category that
+// apiErrorMessage turns into a user-facing message.
+const API_TIMEOUT = Number(process.env.API_TIMEOUT_MS) || 15000;
+const API_MAX_RETRIES = 3;
+const API_RETRY_BASE_DELAY = 500;
+// Longer Retry-After waits are reported to the user instead of held open
+const API_MAX_RETRY_AFTER = 30 * 1000;
+const API_CACHE_TTL = Number(process.env.API_CACHE_TTL_MS) || 10 * 1000;
+const API_CACHE_MAX_ENTRIES = 500;
+const LAST_USED_FLUSH_INTERVAL = 60 * 1000;
+// Retried on 5xx and network errors; POST is only retried on 429, which the API never processed
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+const API_ERROR_DEFAULTS = {
+  'auth': 'Unauthorized',
+  'not_found': 'Not found',
+  'rate_limited': 'Too many requests',
+  'unavailable': 'API request failed',
+  'invalid': 'API request failed'
 };
 
-const makeApiRequest = async (client, endpoint, method = 'GET', data = null) => {
+class ApiError extends Error {
+  constructor(category, { status, body, retryAfter } = {}) {
+    const message = (typeof body === 'string' && body) || body?.error || API_ERROR_DEFAULTS[category];
+    super(message);
+    this.name = 'ApiError';
+    this.category = category;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    // Handlers show the backend's own message from .error
+    this.error = message;
+  }
+}
+
+const apiHttp = axios.create({ timeout: API_TIMEOUT });
+
+// Ids are collapsed so /jobs/12 and /jobs/13 count as one endpoint
+const apiEndpointLabel = (config) => {
   try {
-    const config = {
-      method,
-      url: `${client.baseUrl}${endpoint}`,
-      headers: {
-        'Authorization': `Bearer ${client.apiToken}`,
-        'Content-Type': 'application/json'
-      }
-    };
-    
-    if (data) config.data = data;
-    
-    const response = await axios(config);
-    await Client.updateOne(
-      { telegramId: client.telegramId },
-      { lastUsed: new Date() }
-    );
-    return response.data;
+    return new URL(config.url).pathname.replace(/\/\d+(?=\/|$)/g, '/:id');
+  } catch (e) {
+    return 'unknown';
+  }
+};
+
+const observeApiCall = (config, status) => {
+  if (!config?.metadata) return;
+  const labels = { endpoint: apiEndpointLabel(config), method: config.method.toUpperCase() };
+  apiRequestsTotal.inc({ ...labels, status: String(status) });
+  apiRequestDuration.observe(labels, (Date.now() - config.metadata.startedAt) / 1000);
+};
+
+apiHttp.interceptors.request.use((config) => {
+  config.metadata = { startedAt: Date.now() };
+  return config;
+});
+
+apiHttp.interceptors.response.use(
+  (response) => {
+    observeApiCall(response.config, response.status);
+    return response;
+  },
+  (error) => {
+    observeApiCall(error.config, error.response?.status ?? (error.code === 'ECONNABORTED' ? 'timeout' : 'network'));
+    return Promise.reject(error);
+  }
+);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+const toApiError = (error) => {
+  const { response } = error;
+  if (!response) {
+    return new ApiError('unavailable', {
+      body: error.code === 'ECONNABORTED' ? 'The API did not respond in time' : undefined
+    });
+  }
+  
+  const { status, data: body } = response;
+  if (status === 401 || status === 403) return new ApiError('auth', { status, body });
+  if (status === 404) return new ApiError('not_found', { status, body });
+  if (status === 429) {
+    return new ApiError('rate_limited', { status, body, retryAfter: parseRetryAfter(response.headers?.['retry-after']) });
+  }
+  if (status >= 500) return new ApiError('unavailable', { status, body });
+  return new ApiError('invalid', { status, body });
+};
+
+const shouldRetry = (apiError, method, attempt) => {
+  if (attempt >= API_MAX_RETRIES) return false;
+  if (apiError.category === 'rate_limited') return (apiError.retryAfter ?? 0) <= API_MAX_RETRY_AFTER;
+  return apiError.category === 'unavailable' && IDEMPOTENT_METHODS.includes(method);
+};
+
+// Exponential backoff with jitter, unless the API told us how long to wait
+const retryDelay = (apiError, attempt) => {
+  if (apiError.retryAfter != null) return apiError.retryAfter;
+  return API_RETRY_BASE_DELAY * 2 ** attempt + Math.random() * API_RETRY_BASE_DELAY;
+};
+
+// GET responses per account and profile; any write through the same profile clears them
+const apiCache = new Map();
+
+const apiCachePrefix = (client) => `${client.telegramId}:${client.profile.name}:`;
+
+const invalidateApiCache = (client) => {
+  const prefix = apiCachePrefix(client);
+  for (const key of apiCache.keys()) {
+    if (key.startsWith(prefix)) apiCache.delete(key);
+  }
+};
+
+const cacheApiResponse = (key, response) => {
+  apiCache.delete(key);
+  apiCache.set(key, { response, expires: Date.now() + API_CACHE_TTL });
+  
+  // Maps keep insertion order, so the first key is the oldest
+  if (apiCache.size > API_CACHE_MAX_ENTRIES) {
+    apiCache.delete(apiCache.keys().next().value);
+  }
+};
+
+// lastUsed only needs minute precision, so writes are collected and flushed together
+const pendingLastUsed = new Set();
+
+const flushLastUsed = async () => {
+  if (pendingLastUsed.size === 0 || mongoose.connection.readyState !== 1) return;
+  
+  const telegramIds = [...pendingLastUsed];
+  pendingLastUsed.clear();
+  
+  try {
+    await Client.updateMany({ telegramId: { $in: telegramIds } }, { lastUsed: new Date() });
   } catch (error) {
-    throw error.response?.data || { error: 'API request failed' };
+    logger.error('Failed to update lastUsed', { error });
+    telegramIds.forEach(telegramId => pendingLastUsed.add(telegramId));
   }
 };
 
-// Main Menu
-const mainMenu = Markup.keyboard([
-  ['📊 Jobs', '🎯 Targets'],
-  ['👥 Leads', '📈 Content Analysis'],
-  ['📉 Statistics', '⚙️ Settings'],
-  ['❌ Cancel']
-]).resize();
+const verifyApiToken = async (baseUrl, token) => {
+  try {
+    const response = await apiHttp({
+      method: 'GET',
+      url: `${baseUrl}/stats`,
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    return response.status;
+  } catch (error) {
+    throw toApiError(error);
+  }
+};
 
-// Start Command
-bot.command('start', async (ctx) => {
-  await reactToMessage(ctx, '👋');
-  const client = await getClient(ctx.from.id);
+// Resolves with { status, data }; pass { fresh: true } to skip the GET cache
+const apiRequest = async (client, endpoint, method = 'GET', data = null, { fresh = false } = {}) => {
+  const cacheKey = apiCachePrefix(client) + endpoint;
   
-  if (!client) {
-    await ctx.reply(
-      '👋 Welcome to the API Management Bot!\n\n' +
-      '🔑 To get started, please set your API token using:\n' +
-      '/settoken YOUR_API_TOKEN\n\n' +
-      '📝 Example:\n' +
-      '/settoken abc123def456'
-    );
-  } else {
-    await ctx.reply(
-      `✅ Welcome back!\n\n` +
-      `🆔 Your ID: ${ctx.from.first_name}\n` +
-      `📅 Last used: ${client.lastUsed.toLocaleString()}\n\n` +
-      `Choose an option below:`,
-      mainMenu
-    );
+  if (method === 'GET' && !fresh) {
+    const cached = apiCache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) return cached.response;
   }
-});
+  
+  const { baseUrl, apiToken } = client.profile;
+  const config = {
+    method,
+    url: `${baseUrl}${endpoint}`,
+    headers: {
+      'Authorization': `Bearer ${decryptToken(apiToken)}`,
+      'Content-Type': 'application/json'
+    }
+  };
+  
+  if (data) config.data = data;
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { status, data: body } = await apiHttp(config);
+      const response = { status, data: body };
+      pendingLastUsed.add(client.telegramId);
+      
+      if (method === 'GET') {
+        cacheApiResponse(cacheKey, response);
+      } else {
+        invalidateApiCache(client);
+      }
+      return response;
+    } catch (error) {
+      const apiError = toApiError(error);
+      
+      if (!shouldRetry(apiError, method, attempt)) {
+        // A failed write may still have changed something on the backend
+        if (method !== 'GET') invalidateApiCache(client);
+        throw apiError;
+      }
+      
+      const delay = retryDelay(apiError, attempt);
+      logger.warn('API request failed, retrying', {
+        endpoint: apiEndpointLabel(config),
+        method,
+        attempt: attempt + 1,
+        delayMs: Math.round(delay),
+        error: apiError
+      });
+      await sleep(delay);
+    }
+  }
+};
+
+const makeApiRequest = async (...args) => (await apiRequest(...args)).data;
+
+const API_ERROR_MESSAGES = {
+  'auth': '🔑 The API rejected the token; it may have expired. Update it with /settoken.',
+  'not_found': '🔍 That item no longer exists.',
+  'unavailable': '🛠️ The API is unreachable right now. Please try again in a few minutes.'
+};
+
+// User-facing text for a failed request; unknown errors keep the old wording
+const apiErrorMessage = (error, fallback) => {
+  if (error instanceof ApiError) {
+    if (error.category === 'rate_limited') {
+      return error.retryAfter
+        ? `⏳ The API is rate limiting requests. Try again in ${Math.ceil(error.retryAfter / 1000)}s.`
+        : '⏳ The API is rate limiting requests. Try again in a minute.';
+    }
+    if (API_ERROR_MESSAGES[error.category]) return API_ERROR_MESSAGES[error.category];
+  }
+  return `❌ Error: ${error.error || fallback}`;
+};
+
+// Audit trail; a failure to record is logged but never blocks the action.
+// Pass ctx as null for background work and give accountId/actorName yourself.
+const recordAudit = async (ctx, action, fields = {}) => {
+  try {
+    await AuditEntry.create({
+      ...(ctx && {
+        accountId: accountId(ctx),
+        actorId: ctx.from.id.toString(),
+        actorName: memberName(ctx.from),
+        chatId: ctx.chat?.id
+      }),
+      action,
+      ...fields
+    });
+  } catch (error) {
+    logger.error('Audit entry failed', { action, error });
+  }
+};
+
+const auditFailure = (error) => ({
+  success: false,
+  status: error.status ?? error.response?.status,
+  detail: error.error || error.message
+});
+
+// Main Menu
+// Rendered in the user's language; the handlers match the labels of every language
+const MAIN_MENU_LAYOUT = [
+  ['menu.jobs', 'menu.targets'],
+  ['menu.leads', 'menu.content'],
+  ['menu.stats', 'menu.settings'],
+  ['menu.cancel']
+];
+
+const mainMenu = (ctx) => Markup.keyboard(
+  MAIN_MENU_LAYOUT.map(row => row.map(key => t(ctx, key)))
+).resize();
+
+// Wizard Helpers
+const mainMenuLabels = MAIN_MENU_LAYOUT.flat().flatMap(menuLabels);
+
+const wizardCancelButton = Markup.button.callback('❌ Cancel', 'wizard_cancel');
+
+// Nudge the user when input doesn't match the current wizard step
+const wizardHint = async (ctx, text) => {
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery(text, { show_alert: true });
+  }
+  return ctx.reply(text);
+};
+
+// Leave the scene from the inline cancel button or the "❌ Cancel" menu label.
+// cancelledText may be a function of ctx when the wording depends on the wizard state.
+const handleWizardCancel = (scene, cancelledText) => {
+  const textFor = (ctx) => typeof cancelledText === 'function' ? cancelledText(ctx) : cancelledText;
+  
+  scene.action('wizard_cancel', async (ctx) => {
+    const text = textFor(ctx);
+    await ctx.answerCbQuery('Cancelled');
+    await ctx.scene.leave();
+    await ctx.editMessageText(`❌ ${text}`);
+  });
+  
+  scene.hears(menuLabels('menu.cancel'), async (ctx) => {
+    const text = textFor(ctx);
+    await ctx.scene.leave();
+    await ctx.reply(text, mainMenu(ctx));
+  });
+};
+
+// Pagination Helpers
+const PAGE_SIZE_MIN = 1;
+const PAGE_SIZE_MAX = 50;
+
+// First, last and the pages around the current one
+const pageJumpNumbers = (page, pages) => {
+  const numbers = new Set([1, pages]);
+  for (let n = page - 2; n <= page + 2; n++) {
+    if (n >= 1 && n <= pages) numbers.add(n);
+  }
+  return [...numbers].sort((a, b) => a - b);
+};
+
+// Prev/Next and jump-to-page rows; the page number is appended to the prefix
+const paginationButtons = (prefix, page, pages) => {
+  if (pages <= 1) return [];
+  
+  const nav = [];
+  if (page > 1) nav.push(Markup.button.callback('◀️ Prev', `${prefix}${page - 1}`));
+  nav.push(Markup.button.callback(`📄 ${page}/${pages}`, 'noop'));
+  if (page < pages) nav.push(Markup.button.callback('Next ▶️', `${prefix}${page + 1}`));
+  
+  const jump = pageJumpNumbers(page, pages).map(n =>
+    Markup.button.callback(n === page ? `· ${n} ·` : `${n}`, `${prefix}${n}`)
+  );
+  
+  return [nav, jump];
+};
+
+// Optional page argument of list commands; null when it isn't a page number
+const parsePageArg = (arg) => {
+  if (arg === undefined) return 1;
+  const page = Number(arg);
+  return Number.isInteger(page) && page >= 1 ? page : null;
+};
+
+// Remember the list page a detail view was opened from, so "Back to List" returns there
+const rememberListPage = (ctx, list, callbackData) => {
+  if (!ctx.session) return;
+  ctx.session.listPages = { ...ctx.session.listPages, [list]: callbackData };
+};
+
+const lastListPage = (ctx, list, fallback) => {
+  return ctx.session?.listPages?.[list] || fallback;
+};
+
+bot.action('noop', (ctx) => ctx.answerCbQuery());
+
+// Reply from commands, edit the message from buttons
+const respond = (ctx, text, extra) => {
+  return ctx.callbackQuery ? ctx.editMessageText(text, extra) : ctx.reply(text, extra);
+};
+
+// Access Revocation
+// Revoked users get nothing; users asked to re-verify can only set a new token.
+// Both are set from the admin API. Any update from a user also means they
+// unblocked the bot, so blockedAt is cleared.
+const reverifyAllowed = /^\/(start|settoken|profile\s+add)(@\w+)?(\s|$)/;
+
+bot.use(async (ctx, next) => {
+  if (!ctx.from) return next();
+  
+  const client = await Client.findOne(
+    { telegramId: ctx.from.id.toString() },
+    'revokedAt reverifyRequired blockedAt'
+  );
+  if (!client) return next();
+  
+  if (client.blockedAt && ctx.chat?.type === 'private') {
+    await Client.updateOne({ _id: client._id }, { blockedAt: null });
+  }
+  
+  let notice;
+  if (client.revokedAt) {
+    notice = '⛔ Your access to this bot has been revoked.';
+  } else if (client.reverifyRequired && ctx.chat?.type === 'private' &&
+    !reverifyAllowed.test(ctx.message?.text || '')) {
+    notice = '🔑 Please verify your API token again before continuing:\n/settoken YOUR_TOKEN';
+  }
+  if (!notice) return next();
+  
+  if (ctx.callbackQuery) return ctx.answerCbQuery(notice, { show_alert: true });
+  if (ctx.inlineQuery) return ctx.answerInlineQuery([], { cache_time: 0 });
+  // Stay quiet in groups unless the user is talking to the bot
+  if (ctx.chat?.type === 'private' || ctx.message?.text?.startsWith('/')) return ctx.reply(notice);
+});
+
+// Team Workspaces
+// A group chat with a workspace has its own Client record keyed by the chat id,
+// so every handler that resolves accountId(ctx) works on the shared credentials.
+const WORKSPACE_ROLES = ['viewer', 'operator', 'admin', 'owner'];
+const ROLE_LABELS = {
+  'owner': '👑 Owner',
+  'admin': '🛡️ Admin',
+  'operator': '🛠️ Operator',
+  'viewer': '👀 Viewer'
+};
+
+const PERMISSIONS = {
+  'run_jobs': { role: 'operator', action: 'run or schedule jobs' },
+  'manage_jobs': { role: 'operator', action: 'create or edit jobs' },
+  'manage_targets': { role: 'operator', action: 'create or edit targets' },
+  'manage_leads': { role: 'operator', action: 'update leads or saved filters' },
+  'manage_templates': { role: 'operator', action: 'create or edit message templates' },
+  'delete_jobs': { role: 'admin', action: 'delete jobs' },
+  'delete_targets': { role: 'admin', action: 'delete targets' },
+  'configure': { role: 'admin', action: 'change the API token or workspace settings' },
+  'manage_members': { role: 'admin', action: 'manage members' },
+  'view_audit': { role: 'admin', action: 'view the audit log' },
+  'delete_workspace': { role: 'owner', action: 'delete the workspace' }
+};
+
+const isGroupChat = (ctx) => ['group', 'supergroup'].includes(ctx.chat?.type);
+
+const hasRole = (role, required) => WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(required);
+
+const memberName = (user) => user.username ? `@${user.username}` : user.first_name;
+
+// Members get their own role; everyone else in the group gets the default one
+const workspaceRole = (workspace, telegramId) => {
+  const member = workspace.members.find(m => m.telegramId === telegramId.toString());
+  if (member) return member.role;
+  return workspace.defaultRole === 'none' ? null : workspace.defaultRole;
+};
+
+// Answers the user and returns false when their role is too low
+const checkPermission = async (ctx, permission) => {
+  const { role: required, action } = PERMISSIONS[permission];
+  if (hasRole(ctx.state.role, required)) return true;
+  
+  const message =
+    `⛔ Your role (${ctx.state.role}) can't ${action}.\n\n` +
+    `Ask a workspace ${required === 'owner' ? 'owner' : 'admin'} for help.`;
+  
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(message, { show_alert: true });
+  } else {
+    await ctx.reply(message);
+  }
+  return false;
+};
+
+// Resolve the caller's role once per update; private chats are the user's own account
+bot.use(async (ctx, next) => {
+  if (!isGroupChat(ctx) || !ctx.from) {
+    ctx.state.role = 'owner';
+    return next();
+  }
+  
+  const text = ctx.message?.text || '';
+  // /team does its own checks so non-members can still see and create workspaces
+  if (/^\/team(@\w+)?(\s|$)/.test(text)) return next();
+  
+  const workspace = await Workspace.findOne({ chatId: ctx.chat.id });
+  ctx.state.role = workspace ? workspaceRole(workspace, ctx.from.id) : null;
+  if (ctx.state.role) return next();
+  
+  const notice = workspace
+    ? '⛔ You are not a member of this workspace. Ask an admin to add you with /team role.'
+    : '👥 This group has no workspace yet. Run /team create to share one of your API profiles here.';
+  
+  if (ctx.callbackQuery) return ctx.answerCbQuery(notice, { show_alert: true });
+  if (text.startsWith('/') || mainMenuLabels.includes(text)) return ctx.reply(notice);
+});
+
+const teamUsage =
+  '👥 Team Workspaces\n\n' +
+  'In a group chat:\n' +
+  '/team - Show the workspace and members\n' +
+  '/team create [profile] - Share one of your profiles with this group\n' +
+  '/team link [profile] - Replace the shared credentials\n' +
+  '/team role <role> - Reply to a member\'s message to set their role\n' +
+  '/team role <user id> <role> - Same, by Telegram ID\n' +
+  '/team remove [user id] - Remove a member (or reply to them)\n' +
+  '/team default <role|none> - Role for group members not on the list\n' +
+  '/team leave - Leave the workspace\n' +
+  '/team delete - Delete the workspace\n\n' +
+  `Roles: ${WORKSPACE_ROLES.slice().reverse().join(', ')}`;
+
+// Copy one of the caller's private profiles; the token stays encrypted as is
+const shareProfile = async (ctx, profileName) => {
+  const source = await getClient(ctx.from.id, profileName);
+  if (source?.reverifyRequired) {
+    await ctx.reply('🔑 Verify your API token again with /settoken in a private chat with me first.');
+    return null;
+  }
+  if (!source) {
+    await ctx.reply(
+      profileName
+        ? `❌ You have no profile named ${profileName}. See /profile list in a private chat with me.`
+        : '❌ Set up your API token in a private chat with me first (/settoken), then run this here.'
+    );
+    return null;
+  }
+  
+  const { name, apiToken, tokenHint: hint, tokenFingerprint: fingerprint, baseUrl } = source.profile;
+  await Client.findOneAndUpdate(
+    { telegramId: ctx.chat.id.toString() },
+    {
+      profiles: [{ name, apiToken, tokenHint: hint, tokenFingerprint: fingerprint, baseUrl }],
+      activeProfile: name,
+      lastUsed: new Date()
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  return source.profile;
+};
+
+// Target comes from the replied-to message or an explicit Telegram ID
+const teamTarget = (ctx, args) => {
+  const replied = ctx.message.reply_to_message?.from;
+  if (replied && !replied.is_bot) {
+    return { telegramId: replied.id.toString(), name: memberName(replied), args };
+  }
+  if (/^\d+$/.test(args[0] || '')) {
+    return { telegramId: args[0], name: args[0], args: args.slice(1) };
+  }
+  return null;
+};
+
+const showWorkspace = async (ctx, workspace) => {
+  const client = await getClient(ctx.chat.id);
+  const role = workspaceRole(workspace, ctx.from.id);
+  const members = WORKSPACE_ROLES.slice().reverse().flatMap(r =>
+    workspace.members
+      .filter(m => m.role === r)
+      .map(m => `${ROLE_LABELS[r]} – ${m.name} (${m.telegramId})`)
+  );
+  
+  await ctx.reply(
+    `👥 Workspace: ${workspace.title}\n` +
+    (client ? `${profileLine(client)}🌐 Base URL: ${client.profile.baseUrl}\n` : '⚠️ No credentials linked. Use /team link\n') +
+    `🚪 Other group members: ${workspace.defaultRole === 'none' ? 'no access' : ROLE_LABELS[workspace.defaultRole]}\n` +
+    `🙋 Your role: ${role ? ROLE_LABELS[role] : 'no access'}\n\n` +
+    `Members:\n${members.join('\n')}\n\n` +
+    `See /team help for commands.`
+  );
+};
+
+const createWorkspace = async (ctx, [profileName]) => {
+  if (await Workspace.exists({ chatId: ctx.chat.id })) {
+    return ctx.reply('❌ This group already has a workspace. See /team');
+  }
+  
+  const profile = await shareProfile(ctx, profileName);
+  if (!profile) return;
+  
+  await Workspace.create({
+    chatId: ctx.chat.id,
+    title: ctx.chat.title,
+    members: [{ telegramId: ctx.from.id.toString(), name: memberName(ctx.from), role: 'owner' }]
+  });
+  await recordAudit(ctx, 'team.create', { resourceId: profile.name });
+  
+  await ctx.reply(
+    `✅ Workspace created for ${ctx.chat.title}!\n\n` +
+    `🔌 Shared profile: ${profile.name}\n` +
+    `👑 Owner: ${memberName(ctx.from)}\n\n` +
+    `Other group members are viewers by default. Reply to someone's message with /team role <role> to change theirs.`,
+    mainMenu(ctx)
+  );
+};
+
+const setMemberRole = async (ctx, workspace, args) => {
+  const target = teamTarget(ctx, args);
+  const newRole = target?.args[0];
+  if (!target || !WORKSPACE_ROLES.includes(newRole)) {
+    return ctx.reply(`❌ Usage: reply to a message with /team role <role>, or /team role <user id> <role>\n\nRoles: ${WORKSPACE_ROLES.join(', ')}`);
+  }
+  
+  const actorRole = ctx.state.role;
+  const member = workspace.members.find(m => m.telegramId === target.telegramId);
+  
+  // Admins manage operators and viewers; only the owner hands out admin or ownership
+  if (actorRole !== 'owner' && (hasRole(newRole, 'admin') || (member && hasRole(member.role, 'admin')))) {
+    return ctx.reply('⛔ Only the workspace owner can manage admins.');
+  }
+  if (member?.role === 'owner') {
+    return ctx.reply('❌ Transfer ownership by making another member the owner.');
+  }
+  
+  if (newRole === 'owner') {
+    workspace.members.find(m => m.role === 'owner').role = 'admin';
+  }
+  
+  if (member) {
+    member.role = newRole;
+  } else {
+    workspace.members.push({ telegramId: target.telegramId, name: target.name, role: newRole });
+  }
+  await workspace.save();
+  await recordAudit(ctx, 'team.role', { resourceId: target.telegramId, detail: newRole });
+  
+  await ctx.reply(
+    `✅ ${member?.name || target.name} is now ${ROLE_LABELS[newRole]}.` +
+    (newRole === 'owner' ? '\n\nYou are now an admin.' : '')
+  );
+};
+
+const removeMember = async (ctx, workspace, args) => {
+  const target = teamTarget(ctx, args);
+  const member = target && workspace.members.find(m => m.telegramId === target.telegramId);
+  if (!member) {
+    return ctx.reply('❌ Reply to a member\'s message with /team remove, or use /team remove <user id>.');
+  }
+  if (member.role === 'owner') {
+    return ctx.reply('❌ The owner can\'t be removed. Transfer ownership first.');
+  }
+  if (ctx.state.role !== 'owner' && hasRole(member.role, 'admin')) {
+    return ctx.reply('⛔ Only the workspace owner can remove admins.');
+  }
+  
+  workspace.members.pull(member._id);
+  await workspace.save();
+  await recordAudit(ctx, 'team.remove', { resourceId: member.telegramId });
+  
+  await ctx.reply(`✅ ${member.name} was removed from the workspace.`);
+};
+
+const setDefaultRole = async (ctx, workspace, [role]) => {
+  const allowed = ['none', ...WORKSPACE_ROLES.filter(r => !hasRole(r, 'admin'))];
+  if (!allowed.includes(role)) {
+    return ctx.reply(`❌ Usage: /team default <${allowed.join('|')}>`);
+  }
+  
+  workspace.defaultRole = role;
+  await workspace.save();
+  await recordAudit(ctx, 'team.default', { detail: role });
+  
+  await ctx.reply(
+    role === 'none'
+      ? '✅ Only listed members can use the bot here now.'
+      : `✅ Other group members are now ${ROLE_LABELS[role]}.`
+  );
+};
+
+const leaveWorkspace = async (ctx, workspace) => {
+  const member = workspace.members.find(m => m.telegramId === ctx.from.id.toString());
+  if (!member) return ctx.reply('❌ You are not on the member list.');
+  if (member.role === 'owner') {
+    return ctx.reply('❌ The owner can\'t leave. Transfer ownership or use /team delete.');
+  }
+  
+  workspace.members.pull(member._id);
+  await workspace.save();
+  await recordAudit(ctx, 'team.leave', { resourceId: member.telegramId });
+  
+  await ctx.reply(`👋 ${member.name} left the workspace.`);
+};
+
+bot.command('team', async (ctx) => {
+  const [action, ...args] = ctx.message.text.split(/\s+/).slice(1);
+  
+  if (!isGroupChat(ctx)) {
+    const workspaces = await Workspace.find({ 'members.telegramId': ctx.from.id.toString() });
+    const lines = workspaces.map(w => `• ${w.title} – ${ROLE_LABELS[workspaceRole(w, ctx.from.id)]}`);
+    return ctx.reply(
+      (lines.length > 0 ? `👥 Your workspaces:\n${lines.join('\n')}\n\n` : '📭 You are not in any workspace yet.\n\n') +
+      teamUsage
+    );
+  }
+  
+  const workspace = await Workspace.findOne({ chatId: ctx.chat.id });
+  
+  if (action === 'create') return createWorkspace(ctx, args);
+  if (action === 'help') return ctx.reply(teamUsage);
+  if (!workspace) {
+    return ctx.reply('👥 This group has no workspace yet.\n\n' + teamUsage);
+  }
+  
+  ctx.state.role = workspaceRole(workspace, ctx.from.id);
+  
+  switch (action) {
+    case undefined:
+      return showWorkspace(ctx, workspace);
+    case 'link': {
+      if (!await checkPermission(ctx, 'configure')) return;
+      const profile = await shareProfile(ctx, args[0]);
+      if (!profile) return;
+      await recordAudit(ctx, 'team.link', { resourceId: profile.name });
+      return ctx.reply(`✅ Workspace now uses your profile ${profile.name}.`);
+    }
+    case 'role':
+      if (!await checkPermission(ctx, 'manage_members')) return;
+      return setMemberRole(ctx, workspace, args);
+    case 'remove':
+      if (!await checkPermission(ctx, 'manage_members')) return;
+      return removeMember(ctx, workspace, args);
+    case 'default':
+      if (!await checkPermission(ctx, 'manage_members')) return;
+      return setDefaultRole(ctx, workspace, args);
+    case 'leave':
+      return leaveWorkspace(ctx, workspace);
+    case 'delete':
+      if (!await checkPermission(ctx, 'delete_workspace')) return;
+      return ctx.reply(
+        `⚠️ Delete the workspace for ${workspace.title}?\n\n` +
+        'This removes the shared credentials, schedules and member list.',
+        Markup.inlineKeyboard([
+          [
+            Markup.button.callback('✅ Yes, Delete', 'confirm_team_delete'),
+            Markup.button.callback('❌ Cancel', 'cancel_team_delete')
+          ]
+        ])
+      );
+    default:
+      return ctx.reply(teamUsage);
+  }
+});
+
+bot.action('confirm_team_delete', async (ctx) => {
+  if (!await checkPermission(ctx, 'delete_workspace')) return;
+  await ctx.answerCbQuery('👁️ Deleting workspace...');
+  
+  const chatId = ctx.chat.id.toString();
+  await Workspace.deleteOne({ chatId: ctx.chat.id });
+  await Client.deleteOne({ telegramId: chatId });
+  await Schedule.deleteMany({ telegramId: chatId });
+  await JobWatch.deleteMany({ telegramId: chatId });
+  await StatsSnapshot.deleteMany({ telegramId: chatId });
+  await LeadRecord.deleteMany({ accountId: chatId });
+  await Reminder.deleteMany({ accountId: chatId });
+  await recordAudit(ctx, 'team.delete');
+  
+  await ctx.editMessageText('✅ Workspace deleted.\n\nRun /team create to set up a new one.');
+});
+
+bot.action('cancel_team_delete', async (ctx) => {
+  await ctx.answerCbQuery('Cancelled');
+  await ctx.editMessageText('❌ Workspace deletion cancelled.');
+});
+
+// Start Command
+bot.command('start', async (ctx) => {
+  await reactToMessage(ctx, '👋');
+  const client = await getClient(accountId(ctx));
+  
+  if (!client) {
+    await ctx.reply(t(ctx, 'start.welcome'));
+  } else {
+    await ctx.reply(
+      t(ctx, 'start.welcome_back', {
+        name: ctx.from.first_name,
+        profile: profileLine(client),
+        lastUsed: formatDate(client.lastUsed, client.timezone)
+      }),
+      mainMenu(ctx)
+    );
+  }
+});
+
+// Set Token Command
+// Tokens are never taken in groups, where every member would see them
+const groupTokenNotice =
+  '🔒 Don\'t post API tokens in a group.\n\n' +
+  'Add the token in a private chat with me, then run /team link here.';
+
+bot.command('settoken', async (ctx) => {
+  if (isGroupChat(ctx)) {
+    return ctx.reply(groupTokenNotice);
+  }
+  
+  await reactToMessage(ctx, '🔑');
+  const args = ctx.message.text.split(' ').slice(1);
+  
+  if (args.length === 0) {
+    return ctx.reply('❌ Please provide your API token:\n/settoken YOUR_TOKEN');
+  }
+  
+  const token = args[0];
+  const loadingMsg = await ctx.reply('👁️ Verifying token...');
+  
+  // Test the token against the URL of the profile it goes into
+  const client = await Client.findOne({ telegramId: accountId(ctx) }) ||
+    new Client({ telegramId: accountId(ctx) });
+  const baseUrl = client.profile?.baseUrl || DEFAULT_BASE_URL;
+  const result = await checkCredentials(baseUrl, token);
+  
+  if (result.status !== 'healthy') {
+    await recordAudit(ctx, 'token.set', auditFailure(result.error));
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      loadingMsg.message_id,
+      null,
+      credentialFailureMessage(result, baseUrl)
+    );
+    return reactToMessage(ctx, '❌');
+  }
+  
+  try {
+    // Save into the active profile, creating the client on first use
+    const profile = client.profile;
+    
+    if (profile) {
+      profile.apiToken = encryptToken(token);
+      profile.tokenHint = tokenHint(token);
+      profile.tokenFingerprint = tokenFingerprint(token);
+      profile.credentialStatus = 'healthy';
+      profile.credentialCheckedAt = new Date();
+    } else {
+      client.profiles.push({
+        name: client.activeProfile,
+        apiToken: encryptToken(token),
+        tokenHint: tokenHint(token),
+        tokenFingerprint: tokenFingerprint(token),
+        baseUrl,
+        credentialCheckedAt: new Date()
+      });
+    }
+    
+    client.lastUsed = new Date();
+    client.reverifyRequired = false;
+    await client.save();
+    invalidateApiCache(client);
+    await recordAudit(ctx, 'token.set', { resourceId: client.profile.name, status: result.httpStatus });
+    
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      loadingMsg.message_id,
+      null,
+      '✅ Token verified and saved successfully!\n\nUse /start to access the menu.'
+    );
+    await reactToMessage(ctx, '✅');
+  } catch (error) {
+    logger.error('Failed to save token', { error });
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      loadingMsg.message_id,
+      null,
+      '❌ The token is valid, but saving it failed. Please try again.'
+    );
+    await reactToMessage(ctx, '❌');
+  }
+});
+
+// Set Base URL Command
+bot.command('seturl', async (ctx) => {
+  if (!await checkPermission(ctx, 'configure')) return;
+  const args = ctx.message.text.split(' ').slice(1);
+  
+  if (args.length === 0) {
+    return ctx.reply('❌ Please provide the base URL:\n/seturl https://your-domain.com/api/v1');
+  }
+  
+  const baseUrl = parseBaseUrl(args[0]);
+  if (!baseUrl) {
+    return ctx.reply('❌ That isn\'t a valid http(s) URL:\n/seturl https://your-domain.com/api/v1');
+  }
+  
+  const client = await getClient(accountId(ctx));
+  if (!client) {
+    return ctx.reply('❌ Please set your API token first using /settoken');
+  }
+  
+  // Only saved once the current token works there
+  const loadingMsg = await ctx.reply('👁️ Checking the API...');
+  const result = await checkCredentials(baseUrl, decryptToken(client.profile.apiToken));
+  
+  if (result.status !== 'healthy') {
+    await recordAudit(ctx, 'url.set', { resourceId: client.profile.name, ...auditFailure(result.error), detail: baseUrl });
+    return ctx.telegram.editMessageText(ctx.chat.id, loadingMsg.message_id, null, credentialFailureMessage(result, baseUrl));
+  }
+  
+  await Client.updateOne(
+    { telegramId: accountId(ctx), 'profiles.name': client.profile.name },
+    { $set: { 'profiles.$.baseUrl': baseUrl, ...credentialHealthUpdate('healthy') } }
+  );
+  invalidateApiCache(client);
+  await recordAudit(ctx, 'url.set', { resourceId: client.profile.name, status: result.httpStatus, detail: baseUrl });
+  
+  await ctx.telegram.editMessageText(
+    ctx.chat.id,
+    loadingMsg.message_id,
+    null,
+    `✅ Base URL verified and updated for profile ${client.profile.name}!`
+  );
+});
+
+// Profile Commands
+const PROFILE_NAME_PATTERN = /^[\w-]{1,32}$/;
+const MAX_PROFILES = 10;
+
+const profileUsage =
+  '🔌 API Profiles\n\n' +
+  '/profile list - Show your profiles\n' +
+  '/profile add NAME TOKEN [URL] - Add or update a profile\n' +
+  '/profile use NAME - Switch the active profile\n' +
+  '/profile remove NAME - Delete a profile\n\n' +
+  '📝 Example:\n' +
+  '/profile add staging abc123 https://staging.example.com/api/v1';
+
+const addProfile = async (ctx, [name, token, url]) => {
+  if (!name || !token) return ctx.reply(profileUsage);
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    return ctx.reply('❌ Profile names may only contain letters, numbers, "_" and "-" (max 32).');
+  }
+  
+  const baseUrl = url ? parseBaseUrl(url) : DEFAULT_BASE_URL;
+  if (!baseUrl) {
+    return ctx.reply('❌ That isn\'t a valid http(s) URL.\n\n' + profileUsage);
+  }
+  
+  const telegramId = accountId(ctx);
+  const client = await Client.findOne({ telegramId }) || new Client({ telegramId, activeProfile: name });
+  const existing = client.profiles.find(profile => profile.name === name);
+  
+  if (!existing && client.profiles.length >= MAX_PROFILES) {
+    return ctx.reply(`❌ You can have at most ${MAX_PROFILES} profiles. Remove one first.`);
+  }
+  
+  const loadingMsg = await ctx.reply('👁️ Verifying token...');
+  
+  const result = await checkCredentials(baseUrl, token);
+  if (result.status !== 'healthy') {
+    await recordAudit(ctx, 'profile.add', { resourceId: name, ...auditFailure(result.error) });
+    return ctx.telegram.editMessageText(
+      ctx.chat.id,
+      loadingMsg.message_id,
+      null,
+      credentialFailureMessage(result, baseUrl)
+    );
+  }
+  
+  if (existing) {
+    existing.apiToken = encryptToken(token);
+    existing.tokenHint = tokenHint(token);
+    existing.tokenFingerprint = tokenFingerprint(token);
+    existing.baseUrl = baseUrl;
+    existing.credentialStatus = 'healthy';
+    existing.credentialCheckedAt = new Date();
+  } else {
+    client.profiles.push({
+      name,
+      apiToken: encryptToken(token),
+      tokenHint: tokenHint(token),
+      tokenFingerprint: tokenFingerprint(token),
+      baseUrl,
+      credentialCheckedAt: new Date()
+    });
+  }
+  
+  client.reverifyRequired = false;
+  await client.save();
+  invalidateApiCache(client);
+  await recordAudit(ctx, 'profile.add', { resourceId: name, status: result.httpStatus, detail: baseUrl });
+  
+  const active = client.activeProfile === name;
+  await ctx.telegram.editMessageText(
+    ctx.chat.id,
+    loadingMsg.message_id,
+    null,
+    `✅ Profile ${name} ${existing ? 'updated' : 'saved'}!\n\n` +
+    `🌐 Base URL: ${baseUrl}\n\n` +
+    (active ? 'This is your active profile.' : `Switch to it with /profile use ${name}`)
+  );
+};
+
+const useProfile = async (ctx, [name]) => {
+  if (!name) return ctx.reply(profileUsage);
+  
+  const client = await Client.findOne({ telegramId: accountId(ctx) });
+  const profile = client?.profiles.find(p => p.name === name);
+  if (!profile) {
+    return ctx.reply(`❌ No profile named ${name}. See /profile list`);
+  }
+  
+  client.activeProfile = name;
+  await client.save();
+  await recordAudit(ctx, 'profile.use', { resourceId: name });
+  
+  await ctx.reply(
+    `✅ Switched to profile ${name}\n\n🌐 Base URL: ${profile.baseUrl}`,
+    mainMenu(ctx)
+  );
+};
+
+const listProfiles = async (ctx) => {
+  const client = await Client.findOne({ telegramId: accountId(ctx) });
+  if (!client || client.profiles.length === 0) {
+    return ctx.reply('📭 No profiles yet.\n\n' + profileUsage);
+  }
+  
+  const lines = client.profiles.map(profile =>
+    `${profile.name === client.activeProfile ? '✅' : '▫️'} ${profile.name}\n` +
+    `   🔑 ${maskToken(profile)}\n` +
+    `   🌐 ${profile.baseUrl}\n` +
+    `   🩺 ${CREDENTIAL_STATUS_LABELS[profile.credentialStatus] || CREDENTIAL_STATUS_LABELS.healthy}`
+  );
+  
+  await ctx.reply(`🔌 API Profiles\n\n${lines.join('\n\n')}`);
+};
+
+const removeProfile = async (ctx, [name]) => {
+  if (!name) return ctx.reply(profileUsage);
+  
+  const client = await Client.findOne({ telegramId: accountId(ctx) });
+  const profile = client?.profiles.find(p => p.name === name);
+  if (!profile) {
+    return ctx.reply(`❌ No profile named ${name}. See /profile list`);
+  }
+  if (client.profiles.length === 1) {
+    return ctx.reply('❌ You can\'t remove your only profile. Use /deleteaccount to remove your data.');
+  }
+  
+  client.profiles.pull(profile._id);
+  if (client.activeProfile === name) {
+    client.activeProfile = client.profiles[0].name;
+  }
+  await client.save();
+  await recordAudit(ctx, 'profile.remove', { resourceId: name });
+  
+  await ctx.reply(`✅ Profile ${name} removed.\n\n🔌 Active profile: ${client.activeProfile}`);
+};
+
+bot.command('profile', async (ctx) => {
+  const [action, ...args] = ctx.message.text.split(/\s+/).slice(1);
+  
+  if (action === 'add' && isGroupChat(ctx)) {
+    return ctx.reply(groupTokenNotice);
+  }
+  if (['use', 'remove'].includes(action) && !await checkPermission(ctx, 'configure')) return;
+  
+  switch (action) {
+    case 'add':
+      return addProfile(ctx, args);
+    case 'use':
+      return useProfile(ctx, args);
+    case 'list':
+      return listProfiles(ctx);
+    case 'remove':
+      return removeProfile(ctx, args);
+    default:
+      return ctx.reply(profileUsage);
+  }
+});
+
+// Credential Health
+// Every profile's token is re-verified in the background against its own base URL.
+// A rejected token is "expired"; a URL that doesn't answer like the API is
+// "unreachable". The owner is told about each change, with buttons to fix it.
+const CREDENTIAL_CHECK_INTERVAL = Number(process.env.CREDENTIAL_CHECK_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+const CREDENTIAL_POLL_INTERVAL = 10 * 60 * 1000;
+// Clients checked per poll, so a large install is spread over several polls
+const CREDENTIAL_POLL_BATCH = 100;
+
+const CREDENTIAL_STATUS_LABELS = {
+  'healthy': '✅ Working',
+  'expired': '🔑 Token rejected',
+  'unreachable': '🛠️ API unreachable'
+};
+
+// Only http(s) URLs without credentials, query or fragment; trailing slashes are dropped
+const parseBaseUrl = (text) => {
+  let url;
+  try {
+    url = new URL(text);
+  } catch (error) {
+    return null;
+  }
+  
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password || url.search || url.hash) {
+    return null;
+  }
+  return url.toString().replace(/\/+$/, '');
+};
+
+// Resolves with the credential status and the HTTP status of the check. Rate
+// limiting says nothing about the credentials, so its status is null.
+const checkCredentials = async (baseUrl, token) => {
+  try {
+    return { status: 'healthy', httpStatus: await verifyApiToken(baseUrl, token) };
+  } catch (error) {
+    if (error.category === 'rate_limited') return { status: null, error };
+    return { status: error.category === 'auth' ? 'expired' : 'unreachable', error };
+  }
+};
+
+const credentialFailureMessage = ({ status, error }, baseUrl) => {
+  if (status === 'expired') {
+    return `🔑 The API at ${baseUrl} rejected the token.\n\nPlease check your token and try again.`;
+  }
+  if (status === 'unreachable') {
+    return `🛠️ Couldn't reach the API at ${baseUrl}` +
+      (error.status ? ` (HTTP ${error.status})` : '') +
+      `.\n\nPlease check the URL and try again.`;
+  }
+  return apiErrorMessage(error, 'Failed to verify the token');
+};
+
+const credentialHealthUpdate = (status) => ({
+  'profiles.$.credentialStatus': status,
+  'profiles.$.credentialCheckedAt': new Date()
+});
+
+const describeCredentialHealth = (profile, timezone) => {
+  const label = CREDENTIAL_STATUS_LABELS[profile.credentialStatus] || CREDENTIAL_STATUS_LABELS.healthy;
+  return profile.credentialCheckedAt
+    ? `${label} (checked ${formatInTimezone(profile.credentialCheckedAt, timezone)})`
+    : label;
+};
+
+const credentialKeyboard = (profileName) => Markup.inlineKeyboard([
+  [Markup.button.callback('🔑 Update Token', `creds_token_${profileName}`)],
+  [Markup.button.callback('🌐 Change URL', `creds_url_${profileName}`)],
+  [Markup.button.callback('🔁 Check Again', `creds_check_${profileName}`)]
+]);
+
+const notifyCredentialStatus = async (client, profile, status) => {
+  const text = status === 'healthy'
+    ? `✅ The API credentials of profile ${profile.name} are working again.`
+    : `⚠️ The API credentials of profile ${profile.name} stopped working.\n\n` +
+      `${CREDENTIAL_STATUS_LABELS[status]}\n` +
+      `🌐 ${profile.baseUrl}\n\n` +
+      `Update the token or URL below, or check again once the API is back.`;
+  
+  try {
+    await bot.telegram.sendMessage(
+      client.telegramId,
+      text,
+      status === 'healthy' ? undefined : credentialKeyboard(profile.name)
+    );
+  } catch (error) {
+    logger.warn('Failed to send credential notice', { telegramId: client.telegramId, error });
+  }
+};
+
+// Record when a profile was last checked, keeping its status
+const stampCredentialCheck = (client, profile) => Client.updateOne(
+  { _id: client._id, 'profiles._id': profile._id },
+  { $set: { 'profiles.$.credentialCheckedAt': new Date() } }
+);
+
+// Returns the new status, or null when it couldn't be determined. An inconclusive
+// check still counts as done, so the poller moves on to other clients. Checks the
+// owner asked for show their result themselves, so they skip the notice.
+const checkProfileCredentials = async (client, profile, { notify = true } = {}) => {
+  const result = await checkCredentials(profile.baseUrl, decryptToken(profile.apiToken));
+  if (!result.status) {
+    await stampCredentialCheck(client, profile);
+    return null;
+  }
+  
+  const previous = profile.credentialStatus || 'healthy';
+  await Client.updateOne(
+    { _id: client._id, 'profiles._id': profile._id },
+    { $set: credentialHealthUpdate(result.status) }
+  );
+  
+  if (result.status !== previous) {
+    logger.info('Credential status changed', { telegramId: client.telegramId, profile: profile.name, from: previous, to: result.status });
+    if (notify) await notifyCredentialStatus(client, profile, result.status);
+  }
+  return result.status;
+};
+
+let pollingCredentials = false;
+
+const pollCredentials = async () => {
+  if (pollingCredentials || mongoose.connection.readyState !== 1) return;
+  pollingCredentials = true;
+  
+  try {
+    const cutoff = new Date(Date.now() - CREDENTIAL_CHECK_INTERVAL);
+    const due = await Client.find({
+      revokedAt: null,
+      profiles: { $elemMatch: { $or: [{ credentialCheckedAt: null }, { credentialCheckedAt: { $lte: cutoff } }] } }
+    }).sort({ 'profiles.credentialCheckedAt': 1 }).limit(CREDENTIAL_POLL_BATCH);
+    
+    for (const client of due) {
+      for (const profile of client.profiles) {
+        if (profile.credentialCheckedAt > cutoff) continue;
+        
+        try {
+          await checkProfileCredentials(client, profile);
+        } catch (error) {
+          logger.error('Credential check failed', { telegramId: client.telegramId, profile: profile.name, error });
+          await stampCredentialCheck(client, profile).catch(() => {});
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Credential polling failed', { error });
+  } finally {
+    pollingCredentials = false;
+  }
+};
+
+// The buttons under a credential notice. Workspace notices go to the group, where
+// a token must not be typed, so only the URL and the check work there.
+const credentialsAction = (handler) => async (ctx) => {
+  if (!await checkPermission(ctx, 'configure')) return;
+  const client = await getClient(accountId(ctx), ctx.match[1]);
+  if (!client) return ctx.answerCbQuery('❓ This profile no longer exists.', { show_alert: true });
+  return handler(ctx, client);
+};
+
+bot.action(/^creds_check_([\w-]{1,32})$/, credentialsAction(async (ctx, client) => {
+  await ctx.answerCbQuery('👁️ Checking...');
+  
+  try {
+    const status = await checkProfileCredentials(client, client.profile, { notify: false });
+    if (!status) {
+      return ctx.editMessageText('⏳ The API is rate limiting requests. Try again in a minute.', credentialKeyboard(client.profile.name));
+    }
+    
+    await ctx.editMessageText(
+      `🩺 Profile ${client.profile.name}: ${CREDENTIAL_STATUS_LABELS[status]}\n🌐 ${client.profile.baseUrl}`,
+      status === 'healthy' ? undefined : credentialKeyboard(client.profile.name)
+    );
+  } catch (error) {
+    logger.error('Credential check failed', { telegramId: client.telegramId, profile: client.profile.name, error });
+    await ctx.editMessageText('❌ The check failed. Please try again.', credentialKeyboard(client.profile.name));
+  }
+}));
+
+bot.action(/^creds_token_([\w-]{1,32})$/, credentialsAction(async (ctx, client) => {
+  await ctx.answerCbQuery();
+  if (isGroupChat(ctx)) return ctx.reply(groupTokenNotice);
+  await ctx.scene.enter('credentials_input', { mode: 'token', profileName: client.profile.name });
+}));
+
+bot.action(/^creds_url_([\w-]{1,32})$/, credentialsAction(async (ctx, client) => {
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('credentials_input', { mode: 'url', profileName: client.profile.name });
+}));
+
+// Credentials Input Wizard (new token or base URL for one profile)
+const credentialsInputWizard = new Scenes.WizardScene(
+  'credentials_input',
+  
+  async (ctx) => {
+    const { mode, profileName } = ctx.wizard.state;
+    await ctx.editMessageText(
+      mode === 'token'
+        ? `🔑 Send the new API token for profile ${profileName}:`
+        : `🌐 Send the new base URL for profile ${profileName}:\n\n📝 Example:\nhttps://your-domain.com/api/v1`,
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  async (ctx) => {
+    const text = ctx.message?.text?.trim();
+    if (!text || text.startsWith('/') || mainMenuLabels.includes(text)) {
+      return wizardHint(ctx, '✏️ Please send it as a text message, or tap ❌ Cancel.');
+    }
+    
+    const { mode, profileName } = ctx.wizard.state;
+    if (mode === 'token') {
+      // Don't leave the token in the chat history
+      try {
+        await ctx.deleteMessage();
+      } catch (e) {}
+      
+      if (isGroupChat(ctx)) {
+        await ctx.scene.leave();
+        return ctx.reply(groupTokenNotice);
+      }
+    }
+    
+    const client = await getClient(accountId(ctx), profileName);
+    if (!client) {
+      await ctx.scene.leave();
+      return ctx.reply('❓ This profile no longer exists.');
+    }
+    
+    const profile = client.profile;
+    const baseUrl = mode === 'url' ? parseBaseUrl(text) : profile.baseUrl;
+    if (!baseUrl) {
+      return ctx.reply('❌ That isn\'t a valid http(s) URL. Try again:');
+    }
+    
+    const token = mode === 'token' ? text : decryptToken(profile.apiToken);
+    const result = await checkCredentials(baseUrl, token);
+    const action = mode === 'token' ? 'token.set' : 'url.set';
+    
+    if (result.status !== 'healthy') {
+      await recordAudit(ctx, action, { resourceId: profileName, ...auditFailure(result.error) });
+      return ctx.reply(`${credentialFailureMessage(result, baseUrl)}\n\nSend it again, or tap ❌ Cancel.`);
+    }
+    
+    const update = mode === 'token'
+      ? {
+        'profiles.$.apiToken': encryptToken(token),
+        'profiles.$.tokenHint': tokenHint(token),
+        'profiles.$.tokenFingerprint': tokenFingerprint(token)
+      }
+      : { 'profiles.$.baseUrl': baseUrl };
+    
+    await Client.updateOne(
+      { _id: client._id, 'profiles._id': profile._id },
+      { $set: { ...update, ...credentialHealthUpdate('healthy') } }
+    );
+    invalidateApiCache(client);
+    await recordAudit(ctx, action, { resourceId: profileName, status: result.httpStatus, ...(mode === 'url' && { detail: baseUrl }) });
+    
+    await ctx.scene.leave();
+    await ctx.reply(`✅ ${mode === 'token' ? 'Token' : 'Base URL'} verified and saved for profile ${profileName}!`, mainMenu(ctx));
+  }
+);
+
+handleWizardCancel(credentialsInputWizard, 'Credentials unchanged.');
+stage.register(credentialsInputWizard);
+
+// Set Page Size Command
+bot.command('pagesize', async (ctx) => {
+  if (!await checkPermission(ctx, 'configure')) return;
+  const args = ctx.message.text.split(' ').slice(1);
+  const size = Number(args[0]);
+  
+  if (!Number.isInteger(size) || size < PAGE_SIZE_MIN || size > PAGE_SIZE_MAX) {
+    return ctx.reply(`❌ Please provide a page size between ${PAGE_SIZE_MIN} and ${PAGE_SIZE_MAX}:\n/pagesize 20`);
+  }
+  
+  const client = await getClient(accountId(ctx));
+  if (!client) {
+    return ctx.reply('❌ Please set your API token first using /settoken');
+  }
+  
+  await Client.updateOne(
+    { telegramId: accountId(ctx) },
+    { pageSize: size }
+  );
+  await recordAudit(ctx, 'settings.update', { detail: `pageSize=${size}` });
+  
+  await ctx.reply(`✅ Lists will now show ${size} items per page.`);
+});
+
+// Jobs Handler
+bot.hears(menuLabels('menu.jobs'), async (ctx) => {
+  await reactToMessage(ctx, '👀');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback('📋 List All Jobs', 'jobs_list')],
+    [Markup.button.callback('➕ Create New Job', 'jobs_create')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_menu')]
+  ]);
+  
+  await ctx.reply(t(ctx, 'jobs.menu', { profile: profileLine(client) }), keyboard);
+});
+
+// List Jobs
+const JOB_STATUS_EMOJI = {
+  'queued': '⏳',
+  'running': '🏃',
+  'finished': '✅',
+  'failed': '❌',
+  'cancelled': '🚫'
+};
+// Jobs in these states can be cancelled but not run, edited or deleted
+const JOB_ACTIVE_STATUSES = ['queued', 'running'];
+
+const showJobsList = async (ctx, client, page) => {
+  const data = await makeApiRequest(client, `/jobs?page=${page}&per_page=${client.pageSize}`);
+  
+  if (data.data.length === 0) {
+    return respond(ctx, page > 1 ? `📭 There is no page ${page}.` : '📭 No jobs found.\n\nCreate your first job!');
+  }
+  
+  rememberListPage(ctx, 'jobs', `jobs_page_${page}`);
+  
+  const buttons = data.data.map(job => [
+    Markup.button.callback(
+      `${JOB_STATUS_EMOJI[job.status] || '❓'} ${job.name}`,
+      `job_${job.id}`
+    )
+  ]);
+  
+  const totalPages = data.pagination.pages;
+  const currentPage = data.pagination.page;
+  
+  buttons.push(...paginationButtons('jobs_page_', currentPage, totalPages));
+  buttons.push([Markup.button.callback('🔙 Back', 'back_jobs')]);
+  
+  await respond(
+    ctx,
+    `📊 Jobs List (Page ${currentPage}/${totalPages})\n` +
+    `📦 Total: ${data.pagination.total}\n\n` +
+    `Select a job to view details:`,
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+bot.action(/^jobs_(?:list|page_(\d+))$/, async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading jobs...');
+  const client = await getClient(accountId(ctx));
+  
+  try {
+    await showJobsList(ctx, client, Number(ctx.match[1]) || 1);
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to fetch jobs'));
+  }
+});
+
+bot.command('jobs', async (ctx) => {
+  const page = parsePageArg(ctx.message.text.split(' ')[1]);
+  if (!page) return ctx.reply('❌ Usage: /jobs [page]\n\n📝 Example:\n/jobs 2');
+  
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  try {
+    await showJobsList(ctx, client, page);
+  } catch (error) {
+    await ctx.reply(apiErrorMessage(error, 'Failed to fetch jobs'));
+  }
+});
+
+// Job Details
+// Only the actions that make sense for the job's current status are offered
+const jobDetailsKeyboard = (ctx, jobId, job) => {
+  const active = JOB_ACTIVE_STATUSES.includes(job.status);
+  const rows = [];
+  
+  if (active) {
+    rows.push([Markup.button.callback('⏹️ Cancel Job', `cancel_job_${jobId}`)]);
+  } else if (job.status === 'failed') {
+    rows.push([Markup.button.callback('🔁 Retry', `run_job_${jobId}`)]);
+  } else {
+    rows.push([Markup.button.callback(job.status === 'finished' ? '🔁 Run Again' : '▶️ Run Job', `run_job_${jobId}`)]);
+  }
+  
+  if (job.users_stored > 0) {
+    rows.push([Markup.button.callback('👥 View Leads', `leads_job_${jobId}`)]);
+  }
+  rows.push([Markup.button.callback('⏰ Schedule', `schedule_job_${jobId}`)]);
+  rows.push([
+    ...(active ? [] : [Markup.button.callback('✏️ Edit', `edit_job_${jobId}`)]),
+    Markup.button.callback('📑 Clone', `clone_job_${jobId}`)
+  ]);
+  if (!active) {
+    rows.push([Markup.button.callback('🗑️ Delete', `delete_job_${jobId}`)]);
+  }
+  rows.push([Markup.button.callback('🔙 Back to List', lastListPage(ctx, 'jobs', 'jobs_list'))]);
+  
+  return Markup.inlineKeyboard(rows);
+};
+
+// Always fresh, since the buttons depend on the status
+const showJobDetails = async (ctx, client, jobId) => {
+  const data = await makeApiRequest(client, `/jobs/${jobId}`, 'GET', null, { fresh: true });
+  const job = data.data;
+  
+  const statusEmoji = JOB_STATUS_EMOJI[job.status] || '❓';
+  const jobError = job.status === 'failed' && (job.error_message || job.error);
+  
+  const message = 
+    `📊 Job Details\n\n` +
+    `🆔 ID: ${job.id}\n` +
+    `📝 Name: ${job.name}\n` +
+    `${statusEmoji} Status: ${job.status}\n` +
+    `🔧 Type: ${job.job_type}\n` +
+    `👥 Users Stored: ${formatNumber(job.users_stored)}\n` +
+    `📅 Created: ${formatDate(job.created_at, client.timezone)}` +
+    (jobError ? `\n\n⚠️ Error:\n${String(jobError).slice(0, 1000)}` : '');
+  
+  await respond(ctx, message, jobDetailsKeyboard(ctx, jobId, job));
+};
+
+bot.action(/^job_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading job details...');
+  const client = await getClient(accountId(ctx));
+  const jobId = ctx.match[1];
+  
+  try {
+    await showJobDetails(ctx, client, jobId);
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to fetch job'));
+  }
+});
+
+// Job id argument of /job and /run
+const parseJobIdArg = (ctx) => {
+  const arg = ctx.message.text.split(' ')[1];
+  return /^\d+$/.test(arg || '') ? arg : null;
+};
+
+bot.command('job', async (ctx) => {
+  const jobId = parseJobIdArg(ctx);
+  if (!jobId) return ctx.reply('❌ Usage: /job <id>\n\n📝 Example:\n/job 42');
+  
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  try {
+    await showJobDetails(ctx, client, jobId);
+  } catch (error) {
+    await ctx.reply(apiErrorMessage(error, 'Failed to fetch job'));
+  }
+});
+
+// Run Job
+// The job's status when it is queued or running, which rules out starting it again
+const jobActiveStatus = async (client, jobId) => {
+  const { data: job } = await makeApiRequest(client, `/jobs/${jobId}`, 'GET', null, { fresh: true });
+  return JOB_ACTIVE_STATUSES.includes(job.status) ? job.status : null;
+};
+
+bot.action(/^run_job_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  const client = await getClient(accountId(ctx));
+  const jobId = ctx.match[1];
+  
+  try {
+    const activeStatus = await jobActiveStatus(client, jobId);
+    if (activeStatus) {
+      await ctx.answerCbQuery(`⏳ This job is already ${activeStatus}.`, { show_alert: true });
+      return await showJobDetails(ctx, client, jobId);
+    }
+    
+    const response = await apiRequest(client, `/jobs/${jobId}/run`, 'POST');
+    await recordAudit(ctx, 'job.run', { resourceId: jobId, status: response.status });
+    await ctx.answerCbQuery('✅ Job started!', { show_alert: true });
+    
+    // React to the original message
+    try {
+      await ctx.telegram.setMessageReaction(ctx.chat.id, ctx.callbackQuery.message.message_id, '🚀');
+    } catch (e) {}
+    
+    // Refresh the details so the new status is visible
+    try {
+      await showJobDetails(ctx, client, jobId);
+    } catch (e) {}
+    
+    await startJobWatch(ctx, jobId);
+  } catch (error) {
+    await recordAudit(ctx, 'job.run', { resourceId: jobId, ...auditFailure(error) });
+    await ctx.answerCbQuery(apiErrorMessage(error, 'Request failed'), { show_alert: true });
+  }
+});
+
+bot.command('run', async (ctx) => {
+  const jobId = parseJobIdArg(ctx);
+  if (!jobId) return ctx.reply('❌ Usage: /run <id>\n\n📝 Example:\n/run 42');
+  
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  try {
+    const activeStatus = await jobActiveStatus(client, jobId);
+    if (activeStatus) return ctx.reply(`⏳ Job #${jobId} is already ${activeStatus}.`);
+    
+    const response = await apiRequest(client, `/jobs/${jobId}/run`, 'POST');
+    await recordAudit(ctx, 'job.run', { resourceId: jobId, status: response.status });
+    await reactToMessage(ctx, '🚀');
+    await ctx.reply(`✅ Job #${jobId} started!`);
+    await startJobWatch(ctx, jobId);
+  } catch (error) {
+    await recordAudit(ctx, 'job.run', { resourceId: jobId, ...auditFailure(error) });
+    await ctx.reply(apiErrorMessage(error, 'Request failed'));
+  }
+});
+
+// Cancel Job
+bot.action(/^cancel_job_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  await ctx.answerCbQuery();
+  
+  await ctx.editMessageText(
+    '⚠️ Cancel this job?\n\nLeads it has already stored are kept.',
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback('✅ Yes, Cancel Job', `confirm_cancel_job_${ctx.match[1]}`),
+        Markup.button.callback('🔙 Back', `job_${ctx.match[1]}`)
+      ]
+    ])
+  );
+});
+
+bot.action(/^confirm_cancel_job_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  const client = await getClient(accountId(ctx));
+  const jobId = ctx.match[1];
+  
+  try {
+    const response = await apiRequest(client, `/jobs/${jobId}/cancel`, 'POST');
+    await recordAudit(ctx, 'job.cancel', { resourceId: jobId, status: response.status });
+    await ctx.answerCbQuery('⏹️ Job cancelled', { show_alert: true });
+  } catch (error) {
+    await recordAudit(ctx, 'job.cancel', { resourceId: jobId, ...auditFailure(error) });
+    await ctx.answerCbQuery(apiErrorMessage(error, 'Request failed'), { show_alert: true });
+  }
+  
+  try {
+    await showJobDetails(ctx, client, jobId);
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to fetch job'));
+  }
+});
+
+// Job Progress Tracking
+const JOB_POLL_INTERVAL = Number(process.env.JOB_POLL_INTERVAL_MS) || 15000;
+const JOB_WATCH_MAX_AGE = 24 * 60 * 60 * 1000;
+const JOB_FINAL_STATUSES = ['finished', 'failed', 'cancelled'];
+
+const jobProgressMessage = (job, timezone) => {
+  return (
+    `📡 Job Progress\n\n` +
+    `📝 Name: ${job.name}\n` +
+    `${JOB_STATUS_EMOJI[job.status] || '❓'} Status: ${job.status}\n` +
+    `👥 Users Stored: ${formatNumber(job.users_stored)}\n` +
+    `🕒 Updated: ${formatDate(new Date(), timezone)}`
+  );
+};
+
+const jobProgressKeyboard = (jobId) => Markup.inlineKeyboard([
+  [Markup.button.callback('🔕 Stop Tracking', `unwatch_job_${jobId}`)]
+]);
+
+// Send a status message for the job and keep it updated until the job ends
+const watchJob = async (client, chatId, jobId) => {
+  try {
+    const data = await makeApiRequest(client, `/jobs/${jobId}`);
+    const job = data.data;
+    const statusMsg = await bot.telegram.sendMessage(
+      chatId,
+      withLanguage(client.language, () => jobProgressMessage(job, client.timezone)),
+      jobProgressKeyboard(jobId)
+    );
+    
+    await JobWatch.findOneAndUpdate(
+      { chatId, jobId: String(jobId) },
+      {
+        telegramId: client.telegramId,
+        profileName: client.profile.name,
+        chatId,
+        jobId: String(jobId),
+        jobName: job.name,
+        messageId: statusMsg.message_id,
+        lastStatus: job.status,
+        lastUsersStored: job.users_stored || 0,
+        createdAt: new Date()
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    logger.error('Failed to start job tracking', { jobId, error });
+  }
+};
+
+const startJobWatch = async (ctx, jobId) => {
+  const client = await getClient(accountId(ctx));
+  if (client) await watchJob(client, ctx.chat.id, jobId);
+};
+
+const JOB_RESULT_HEADLINES = {
+  'finished': (job) => `✅ Job "${job.name}" finished!`,
+  'cancelled': (job) => `🚫 Job "${job.name}" was cancelled.`,
+  'failed': (job) => `❌ Job "${job.name}" failed.`
+};
+
+const sendJobResult = async (chatId, job) => {
+  const headline = (JOB_RESULT_HEADLINES[job.status] || JOB_RESULT_HEADLINES.failed)(job);
+  const buttons = [
+    [Markup.button.callback('👥 View Leads', `leads_job_${job.id}`)],
+    [Markup.button.callback('📊 View Job', `job_${job.id}`)]
+  ];
+  if (job.status === 'failed') buttons.push([Markup.button.callback('🔁 Retry', `run_job_${job.id}`)]);
+  
+  await bot.telegram.sendMessage(
+    chatId,
+    `${headline}\n\n👥 Users Stored: ${formatNumber(job.users_stored)}`,
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+const finishJobWatch = async (watch, job) => {
+  await sendJobResult(watch.chatId, { ...job, id: watch.jobId });
+  await JobWatch.deleteOne({ _id: watch._id });
+};
+
+const checkJobWatch = async (watch) => {
+  const client = await getClient(watch.telegramId, watch.profileName);
+  
+  if (!client || Date.now() - watch.createdAt.getTime() > JOB_WATCH_MAX_AGE) {
+    return JobWatch.deleteOne({ _id: watch._id });
+  }
+  
+  let job;
+  try {
+    const data = await makeApiRequest(client, `/jobs/${watch.jobId}`, 'GET', null, { fresh: true });
+    job = data.data;
+  } catch (error) {
+    // Job deleted in the meantime; anything else is retried on the next poll
+    if (error.category === 'not_found') {
+      await JobWatch.deleteOne({ _id: watch._id });
+    }
+    return;
+  }
+  
+  const usersStored = job.users_stored || 0;
+  const finished = JOB_FINAL_STATUSES.includes(job.status);
+  
+  if (job.status !== watch.lastStatus || usersStored !== watch.lastUsersStored) {
+    try {
+      await bot.telegram.editMessageText(
+        watch.chatId,
+        watch.messageId,
+        null,
+        withLanguage(client.language, () => jobProgressMessage(job, client.timezone)),
+        finished ? undefined : jobProgressKeyboard(watch.jobId)
+      );
+    } catch (e) {}
+    
+    await JobWatch.updateOne(
+      { _id: watch._id },
+      { lastStatus: job.status, lastUsersStored: usersStored }
+    );
+  }
+  
+  if (finished) {
+    await finishJobWatch(watch, job);
+  }
+};
+
+let pollingJobWatches = false;
+
+const pollJobWatches = async () => {
+  if (pollingJobWatches || mongoose.connection.readyState !== 1) return;
+  pollingJobWatches = true;
+  
+  try {
+    const watches = await JobWatch.find();
+    for (const watch of watches) {
+      try {
+        await checkJobWatch(watch);
+      } catch (error) {
+        logger.error('Job watch failed', { jobId: watch.jobId, error });
+      }
+    }
+  } catch (error) {
+    logger.error('Job watch polling failed', { error });
+  } finally {
+    pollingJobWatches = false;
+  }
+};
+
+bot.action(/^unwatch_job_(\d+)$/, async (ctx) => {
+  await JobWatch.deleteOne({ chatId: ctx.chat.id, jobId: ctx.match[1] });
+  await ctx.answerCbQuery('🔕 Tracking stopped');
+  await ctx.editMessageReplyMarkup(undefined);
+});
+
+// Scheduled Runs
+const SCHEDULE_POLL_INTERVAL = Number(process.env.SCHEDULE_POLL_INTERVAL_MS) || 30000;
+const MAX_SCHEDULES = 20;
+
+const SCHEDULE_PRESETS = {
+  'hourly': { label: '🕐 Every hour', cron: '0 * * * *' },
+  'daily': { label: '☀️ Daily at 09:00', cron: '0 9 * * *' },
+  'weekly': { label: '📅 Weekly, Monday 09:00', cron: '0 9 * * 1' }
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const formatInTimezone = (date, timezone) => {
+  return `${formatDate(date, timezone)} (${timezone})`;
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const timezoneOffset = (timestamp, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// Parse "YYYY-MM-DD HH:MM" as wall-clock time in the timezone
+const parseLocalDateTime = (text, timezone) => {
+  const match = text.trim().match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  
+  // Apply the offset twice so DST transitions resolve to the right side
+  let timestamp = wallClock - timezoneOffset(wallClock, timezone);
+  timestamp = wallClock - timezoneOffset(timestamp, timezone);
+  
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const nextCronRun = (cron, timezone, after = new Date()) => {
+  return cronParser.parseExpression(cron, { currentDate: after, tz: timezone }).next().toDate();
+};
+
+const describeSchedule = (schedule) => {
+  if (schedule.type === 'once') {
+    return `📅 Once at ${formatInTimezone(schedule.runAt, schedule.timezone)}`;
+  }
+  
+  const preset = Object.values(SCHEDULE_PRESETS).find(p => p.cron === schedule.cron);
+  return preset ? `${preset.label} (${schedule.timezone})` : `🔁 Cron ${schedule.cron} (${schedule.timezone})`;
+};
+
+const createSchedule = async (ctx, jobId, { type, cron, runAt }) => {
+  const client = await getClient(accountId(ctx));
+  if (!client) return respond(ctx, t(ctx, 'token_required'));
+  
+  const count = await Schedule.countDocuments({ telegramId: client.telegramId });
+  if (count >= MAX_SCHEDULES) {
+    return respond(ctx, `❌ You can have at most ${MAX_SCHEDULES} schedules. Remove one in /schedules first.`);
+  }
+  
+  try {
+    const data = await makeApiRequest(client, `/jobs/${jobId}`);
+    const timezone = client.timezone;
+    
+    const schedule = await Schedule.create({
+      telegramId: client.telegramId,
+      profileName: client.profile.name,
+      chatId: ctx.chat.id,
+      jobId: String(jobId),
+      jobName: data.data.name,
+      type,
+      cron,
+      runAt,
+      timezone,
+      nextRunAt: type === 'once' ? runAt : nextCronRun(cron, timezone)
+    });
+    await recordAudit(ctx, 'schedule.create', { resourceId: String(jobId), detail: describeSchedule(schedule) });
+    
+    await respond(
+      ctx,
+      `✅ Run scheduled!\n\n` +
+      `📝 Job: ${schedule.jobName}\n` +
+      `${describeSchedule(schedule)}\n` +
+      `⏭️ Next run: ${formatInTimezone(schedule.nextRunAt, timezone)}`,
+      Markup.inlineKeyboard([
+        [Markup.button.callback('📊 View Job', `job_${jobId}`)],
+        [Markup.button.callback('⏰ All Schedules', 'schedules_list')]
+      ])
+    );
+  } catch (error) {
+    await respond(ctx, apiErrorMessage(error, 'Failed to schedule job'));
+  }
+};
+
+bot.action(/^schedule_job_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  const jobId = ctx.match[1];
+  const buttons = Object.entries(SCHEDULE_PRESETS).map(([key, preset]) => [
+    Markup.button.callback(preset.label, `schedule_preset_${jobId}_${key}`)
+  ]);
+  buttons.push([Markup.button.callback('📅 Once at a date/time', `schedule_once_${jobId}`)]);
+  buttons.push([Markup.button.callback('🔁 Custom cron', `schedule_cron_${jobId}`)]);
+  buttons.push([Markup.button.callback('🔙 Back to Job', `job_${jobId}`)]);
+  
+  await ctx.editMessageText(
+    `⏰ Schedule Job #${jobId}\n\n` +
+    `🌍 Timezone: ${client.timezone} (change with /timezone)\n\n` +
+    `When should it run?`,
+    Markup.inlineKeyboard(buttons)
+  );
+});
+
+bot.action(/^schedule_preset_(\d+)_(\w+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  const preset = SCHEDULE_PRESETS[ctx.match[2]];
+  if (!preset) return ctx.answerCbQuery('❓ Unknown schedule');
+  
+  await ctx.answerCbQuery();
+  await createSchedule(ctx, ctx.match[1], { type: 'cron', cron: preset.cron });
+});
+
+// Schedule Input Wizard (one-off date or custom cron)
+const scheduleWizard = new Scenes.WizardScene(
+  'schedule_input',
+  
+  async (ctx) => {
+    const { mode } = ctx.wizard.state;
+    const client = await getClient(accountId(ctx));
+    
+    await ctx.editMessageText(
+      mode === 'once'
+        ? `📅 Send the date and time to run the job (${client.timezone}):\n\n📝 Example:\n2025-03-01 14:30`
+        : `🔁 Send a cron expression (minute hour day month weekday, ${client.timezone}):\n\n📝 Example:\n30 8 * * 1-5`,
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  async (ctx) => {
+    const text = ctx.message?.text?.trim();
+    if (!text || text.startsWith('/') || mainMenuLabels.includes(text)) {
+      return wizardHint(ctx, '✏️ Please send the schedule as a text message, or tap ❌ Cancel.');
+    }
+    
+    const { jobId, mode } = ctx.wizard.state;
+    const client = await getClient(accountId(ctx));
+    
+    if (mode === 'once') {
+      const runAt = parseLocalDateTime(text, client.timezone);
+      if (!runAt) {
+        return ctx.reply('❌ Use the format YYYY-MM-DD HH:MM. Try again:');
+      }
+      if (runAt <= new Date()) {
+        return ctx.reply('❌ That time is in the past. Try again:');
+      }
+      
+      await ctx.scene.leave();
+      return createSchedule(ctx, jobId, { type: 'once', runAt });
+    }
+    
+    try {
+      nextCronRun(text, client.timezone);
+    } catch (error) {
+      return ctx.reply('❌ That is not a valid cron expression. Try again:');
+    }
+    
+    await ctx.scene.leave();
+    return createSchedule(ctx, jobId, { type: 'cron', cron: text });
+  }
+);
+
+handleWizardCancel(scheduleWizard, 'Scheduling cancelled.');
+stage.register(scheduleWizard);
+
+bot.action(/^schedule_(once|cron)_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  await ctx.scene.enter('schedule_input', { mode: ctx.match[1], jobId: ctx.match[2] });
+});
+
+// Schedules List
+const showSchedules = async (ctx) => {
+  const schedules = await Schedule.find({ telegramId: accountId(ctx) }).sort({ createdAt: 1 });
+  
+  if (schedules.length === 0) {
+    return respond(ctx, '📭 No scheduled runs.\n\nOpen a job and tap ⏰ Schedule to add one.');
+  }
+  
+  const lines = schedules.map((schedule, idx) =>
+    `${idx + 1}. ${schedule.paused ? '⏸️' : '▶️'} ${schedule.jobName} (#${schedule.jobId})\n` +
+    `   ${describeSchedule(schedule)}\n` +
+    `   ⏭️ Next: ${schedule.paused ? 'paused' : formatInTimezone(schedule.nextRunAt, schedule.timezone)}` +
+    (schedule.lastRunAt ? `\n   🕒 Last: ${formatInTimezone(schedule.lastRunAt, schedule.timezone)} – ${schedule.lastStatus}` : '')
+  );
+  
+  const buttons = schedules.map((schedule, idx) => [
+    Markup.button.callback(
+      `${idx + 1}. ${schedule.paused ? '▶️ Resume' : '⏸️ Pause'}`,
+      `schedule_toggle_${schedule._id}`
+    ),
+    Markup.button.callback(`${idx + 1}. 🗑️ Delete`, `schedule_delete_${schedule._id}`)
+  ]);
+  
+  await respond(ctx, `⏰ Scheduled Runs\n\n${lines.join('\n\n')}`, Markup.inlineKeyboard(buttons));
+};
+
+bot.command('schedules', async (ctx) => {
+  await showSchedules(ctx);
+});
+
+bot.action('schedules_list', async (ctx) => {
+  await ctx.answerCbQuery();
+  await showSchedules(ctx);
+});
+
+bot.action(/^schedule_toggle_([0-9a-f]{24})$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  const schedule = await Schedule.findOne({ _id: ctx.match[1], telegramId: accountId(ctx) });
+  if (!schedule) return ctx.answerCbQuery('❌ Schedule not found', { show_alert: true });
+  
+  if (!schedule.paused) {
+    schedule.paused = true;
+  } else if (schedule.type === 'once' && schedule.runAt <= new Date()) {
+    return ctx.answerCbQuery('⚠️ This one-off run is in the past. Delete it and schedule a new one.', { show_alert: true });
+  } else {
+    schedule.paused = false;
+    schedule.nextRunAt = schedule.type === 'once' ? schedule.runAt : nextCronRun(schedule.cron, schedule.timezone);
+  }
+  
+  await schedule.save();
+  await recordAudit(ctx, schedule.paused ? 'schedule.pause' : 'schedule.resume', { resourceId: schedule.jobId });
+  await ctx.answerCbQuery(schedule.paused ? '⏸️ Paused' : '▶️ Resumed');
+  await showSchedules(ctx);
+});
+
+bot.action(/^schedule_delete_([0-9a-f]{24})$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'run_jobs')) return;
+  const schedule = await Schedule.findOneAndDelete({ _id: ctx.match[1], telegramId: accountId(ctx) });
+  if (schedule) {
+    await recordAudit(ctx, 'schedule.delete', { resourceId: schedule.jobId, detail: describeSchedule(schedule) });
+  }
+  await ctx.answerCbQuery('🗑️ Schedule deleted');
+  await showSchedules(ctx);
+});
+
+// Scheduler
+// Each due run is claimed with a compare-and-set on nextRunAt, so when several
+// bot instances poll at once only one of them fires it.
+const claimScheduledRun = async (schedule) => {
+  if (schedule.type === 'once') {
+    return Schedule.findOneAndDelete({ _id: schedule._id, nextRunAt: schedule.nextRunAt, paused: false });
+  }
+  
+  return Schedule.findOneAndUpdate(
+    { _id: schedule._id, nextRunAt: schedule.nextRunAt, paused: false },
+    { nextRunAt: nextCronRun(schedule.cron, schedule.timezone), lastRunAt: new Date() },
+    { new: true }
+  );
+};
+
+const runScheduledJob = async (schedule) => {
+  const claimed = await claimScheduledRun(schedule);
+  if (!claimed) return;
+  
+  const client = await getClient(claimed.telegramId, claimed.profileName);
+  if (!client) {
+    return Schedule.deleteOne({ _id: claimed._id });
+  }
+  
+  const auditSource = {
+    accountId: claimed.telegramId,
+    actorName: 'scheduler',
+    chatId: claimed.chatId,
+    resourceId: claimed.jobId
+  };
+  
+  // A run that outlasts the interval is left alone, like the manual Run button does
+  let status;
+  try {
+    const activeStatus = await jobActiveStatus(client, claimed.jobId);
+    if (activeStatus) {
+      status = `skipped: still ${activeStatus}`;
+    } else {
+      const response = await apiRequest(client, `/jobs/${claimed.jobId}/run`, 'POST');
+      await recordAudit(null, 'job.run', { ...auditSource, status: response.status, detail: describeSchedule(claimed) });
+      status = 'started';
+    }
+  } catch (error) {
+    await recordAudit(null, 'job.run', { ...auditSource, ...auditFailure(error) });
+    status = `failed: ${error.error || 'unknown error'}`;
+  }
+  
+  if (claimed.type !== 'once') {
+    await Schedule.updateOne({ _id: claimed._id }, { lastStatus: status });
+  }
+  
+  const next = claimed.type === 'once'
+    ? ''
+    : `\n⏭️ Next run: ${formatInTimezone(claimed.nextRunAt, claimed.timezone)}`;
+  
+  const headline = status === 'started'
+    ? '⏰ Scheduled run started'
+    : `${status.startsWith('skipped') ? '⏭️' : '❌'} Scheduled run ${status}`;
+  
+  await bot.telegram.sendMessage(
+    claimed.chatId,
+    `${headline}\n\n📝 Job: ${claimed.jobName}\n${describeSchedule(claimed)}${next}`
+  );
+  
+  if (status === 'started') {
+    await watchJob(client, claimed.chatId, claimed.jobId);
+  }
+};
+
+let pollingSchedules = false;
+
+const pollSchedules = async () => {
+  if (pollingSchedules || mongoose.connection.readyState !== 1) return;
+  pollingSchedules = true;
+  
+  try {
+    const due = await Schedule.find({ paused: false, nextRunAt: { $lte: new Date() } });
+    for (const schedule of due) {
+      try {
+        await runScheduledJob(schedule);
+      } catch (error) {
+        logger.error('Scheduled run failed', { scheduleId: String(schedule._id), error });
+      }
+    }
+  } catch (error) {
+    logger.error('Schedule polling failed', { error });
+  } finally {
+    pollingSchedules = false;
+  }
+};
+
+// Timezone Command
+bot.command('timezone', async (ctx) => {
+  if (!await checkPermission(ctx, 'configure')) return;
+  const args = ctx.message.text.split(' ').slice(1);
+  const client = await getClient(accountId(ctx));
+  if (!client) {
+    return ctx.reply('❌ Please set your API token first using /settoken');
+  }
+  
+  if (args.length === 0) {
+    return ctx.reply(
+      `🌍 Your timezone: ${client.timezone}\n\n` +
+      `Change it with an IANA timezone name:\n/timezone Europe/Berlin`
+    );
+  }
+  
+  if (!isValidTimezone(args[0])) {
+    return ctx.reply('❌ Unknown timezone. Use an IANA name such as Europe/Berlin or Asia/Kolkata.');
+  }
+  
+  // Digests follow the user's timezone, so reschedule the next one
+  await Client.updateOne(
+    { telegramId: accountId(ctx) },
+    {
+      timezone: args[0],
+      ...(client.digest.enabled && { 'digest.nextAt': nextDigestAt(client.digest, args[0]) })
+    }
+  );
+  await recordAudit(ctx, 'settings.update', { detail: `timezone=${args[0]}` });
+  
+  await ctx.reply(`✅ Timezone set to ${args[0]}.\n\nExisting schedules keep the timezone they were created with.`);
+});
+
+// Language Command
+// Saved on the user's own record, also in groups: the language is per person
+const languageKeyboard = Markup.inlineKeyboard(
+  Object.entries(LANGUAGES).map(([code, { name }]) => [Markup.button.callback(name, `language_set_${code}`)])
+);
+
+const saveLanguage = async (ctx, language) => {
+  const telegramId = ctx.from.id.toString();
+  await Client.updateOne({ telegramId }, { language }, { upsert: true });
+  languageCache.set(telegramId, { language, loadedAt: Date.now() });
+  ctx.state.language = language;
+};
+
+bot.command('language', async (ctx) => {
+  const args = ctx.message.text.split(' ').slice(1);
+  
+  if (args.length === 0) {
+    return ctx.reply(t(ctx, 'language.prompt', { name: LANGUAGES[userLanguage(ctx)].name }), languageKeyboard);
+  }
+  
+  const language = args[0].toLowerCase();
+  if (!LANGUAGES[language]) {
+    return ctx.reply(t(ctx, 'language.unknown', { codes: Object.keys(LANGUAGES).join(', ') }));
+  }
+  
+  await saveLanguage(ctx, language);
+  await ctx.reply(t(ctx, 'language.saved', { name: LANGUAGES[language].name }), mainMenu(ctx));
+});
+
+bot.action(/^language_set_(\w+)$/, async (ctx) => {
+  const language = ctx.match[1];
+  if (!LANGUAGES[language]) return ctx.answerCbQuery('❓ Unknown language');
+  
+  await saveLanguage(ctx, language);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(t(ctx, 'language.saved', { name: LANGUAGES[language].name }));
+  // Only a new message can replace the reply keyboard
+  await ctx.reply(t(ctx, 'choose_option'), mainMenu(ctx));
+});
+
+// Create Job Wizard
+// Also clones and edits jobs: those enter with the source job's type, name and
+// targets in the state and skip the type step.
+const JOB_TYPES = {
+  'profile_scrape': '👤 Profile Scrape',
+  'followers_scrape': '👥 Followers Scrape',
+  'content_analysis': '📈 Content Analysis'
+};
+
+const JOB_NAME_MAX_LENGTH = 100;
+
+const JOB_WIZARD_TITLES = {
+  'create': '➕ Create New Job',
+  'clone': '📑 Clone Job',
+  'edit': '✏️ Edit Job'
+};
+
+const JOB_WIZARD_CANCELLED = {
+  'create': 'Job creation cancelled.',
+  'clone': 'Cloning cancelled.',
+  'edit': 'Edit cancelled. The job was not changed.'
+};
+
+// Clones and edits have no type step, so their steps are numbered one lower
+const jobWizardHeading = (state, step) => {
+  const mode = state.mode || 'create';
+  return mode === 'create'
+    ? `${JOB_WIZARD_TITLES.create} (Step ${step}/4)`
+    : `${JOB_WIZARD_TITLES[mode]} (Step ${step - 1}/3)`;
+};
+
+const promptJobName = (ctx) => {
+  const state = ctx.wizard.state;
+  const buttons = state.suggestedName
+    ? [
+      [Markup.button.callback(`✅ ${state.mode === 'edit' ? 'Keep' : 'Use'} "${state.suggestedName.slice(0, 40)}"`, 'wizard_keep_name')],
+      [wizardCancelButton]
+    ]
+    : [[wizardCancelButton]];
+  
+  return ctx.editMessageText(
+    `${jobWizardHeading(state, 2)}\n\n` +
+    `🔧 Type: ${JOB_TYPES[state.jobType] || state.jobType}\n\n` +
+    `✏️ Send a name for the job:`,
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+// Targets are picked a page at a time; the selection is kept across pages
+const TARGET_PICKER_PAGE_SIZE = 20;
+
+const targetPickerKeyboard = (state) => {
+  const buttons = state.targets.map(target => [
+    Markup.button.callback(
+      `${state.targetIds.includes(target.id) ? '☑️' : '⬜'} ${target.identifier}`,
+      `wizard_target_${target.id}`
+    )
+  ]);
+  
+  // The wizard swallows callbacks, so the shared pagination rows (with their noop button) don't fit
+  if (state.targetPages > 1) {
+    const { targetPage: page, targetPages: pages } = state;
+    buttons.push([
+      ...(page > 1 ? [Markup.button.callback('◀️ Prev', `wizard_targets_page_${page - 1}`)] : []),
+      Markup.button.callback(`📄 ${page}/${pages}`, `wizard_targets_page_${page}`),
+      ...(page < pages ? [Markup.button.callback('Next ▶️', `wizard_targets_page_${page + 1}`)] : [])
+    ]);
+  }
+  
+  buttons.push([
+    Markup.button.callback('✅ Done', 'wizard_targets_done'),
+    wizardCancelButton
+  ]);
+  
+  return Markup.inlineKeyboard(buttons);
+};
+
+const loadTargetPickerPage = async (client, state, page) => {
+  const data = await makeApiRequest(client, `/targets?page=${page}&per_page=${TARGET_PICKER_PAGE_SIZE}`);
+  state.targets = data.data.map(target => ({
+    id: target.id,
+    identifier: target.identifier
+  }));
+  state.targetPage = data.pagination.page;
+  state.targetPages = data.pagination.pages;
+  
+  // Names of selected targets, for the summary
+  state.targets
+    .filter(target => state.targetIds.includes(target.id))
+    .forEach(target => { state.targetNames[target.id] = target.identifier; });
+};
+
+const jobWizard = new Scenes.WizardScene(
+  'job_create',
+  
+  // Step 1: ask for the job type; clones and edits go straight to the name
+  async (ctx) => {
+    if (ctx.wizard.state.mode && ctx.wizard.state.mode !== 'create') {
+      await promptJobName(ctx);
+      return ctx.wizard.selectStep(2);
+    }
+    
+    const buttons = Object.entries(JOB_TYPES).map(([type, label]) => [
+      Markup.button.callback(label, `wizard_type_${type}`)
+    ]);
+    buttons.push([wizardCancelButton]);
+    
+    await ctx.editMessageText(
+      '➕ Create New Job (Step 1/4)\n\nChoose the job type:',
+      Markup.inlineKeyboard(buttons)
+    );
+    return ctx.wizard.next();
+  },
+  
+  // Step 2: save the type, ask for a name
+  async (ctx) => {
+    const match = ctx.callbackQuery?.data?.match(/^wizard_type_(\w+)$/);
+    if (!match || !JOB_TYPES[match[1]]) {
+      return wizardHint(ctx, '👆 Please choose a job type using the buttons above.');
+    }
+    
+    await ctx.answerCbQuery();
+    ctx.wizard.state.jobType = match[1];
+    
+    await promptJobName(ctx);
+    return ctx.wizard.next();
+  },
+  
+  // Step 3: save the name, ask for targets
+  async (ctx) => {
+    const keepName = ctx.callbackQuery?.data === 'wizard_keep_name' && ctx.wizard.state.suggestedName;
+    const name = keepName || ctx.message?.text?.trim();
+    
+    if (keepName) await ctx.answerCbQuery();
+    if (!name || name.startsWith('/') || mainMenuLabels.includes(name)) {
+      return wizardHint(ctx, '✏️ Please send the job name as a text message, or tap ❌ Cancel.');
+    }
+    if (name.length > JOB_NAME_MAX_LENGTH) {
+      return ctx.reply(`❌ The name is too long (max ${JOB_NAME_MAX_LENGTH} characters). Try again:`);
+    }
+    
+    ctx.wizard.state.name = name;
+    const client = await getClient(accountId(ctx));
+    
+    const state = ctx.wizard.state;
+    // Clones and edits start from the source job's targets
+    state.targetIds = state.sourceTargetIds || [];
+    state.targetNames = state.sourceTargetNames || {};
+    
+    try {
+      await loadTargetPickerPage(client, state, 1);
+      
+      if (state.targets.length === 0) {
+        await ctx.reply('📭 No targets found.\n\nCreate a target first, then try again.', mainMenu(ctx));
+        return ctx.scene.leave();
+      }
+      
+      await respond(
+        ctx,
+        `${jobWizardHeading(state, 3)}\n\n` +
+        `📝 Name: ${name}\n\n` +
+        `🎯 Select one or more targets, then tap ✅ Done:`,
+        targetPickerKeyboard(state)
+      );
+      return ctx.wizard.next();
+    } catch (error) {
+      await ctx.reply(apiErrorMessage(error, 'Failed to fetch targets'), mainMenu(ctx));
+      return ctx.scene.leave();
+    }
+  },
+  
+  // Step 4: toggle targets until done, then show the summary
+  async (ctx) => {
+    const state = ctx.wizard.state;
+    const data = ctx.callbackQuery?.data;
+    const toggle = data?.match(/^wizard_target_(\d+)$/);
+    const pageJump = data?.match(/^wizard_targets_page_(\d+)$/);
+    
+    if (toggle) {
+      const target = state.targets.find(t => String(t.id) === toggle[1]);
+      if (!target) return ctx.answerCbQuery('❓ Unknown target');
+      
+      if (state.targetIds.includes(target.id)) {
+        state.targetIds = state.targetIds.filter(id => id !== target.id);
+      } else {
+        state.targetIds = [...state.targetIds, target.id];
+        state.targetNames[target.id] = target.identifier;
+      }
+      
+      await ctx.answerCbQuery();
+      return ctx.editMessageReplyMarkup(targetPickerKeyboard(state).reply_markup);
+    }
+    
+    if (pageJump) {
+      const page = Number(pageJump[1]);
+      if (page === state.targetPage) return ctx.answerCbQuery();
+      
+      try {
+        await loadTargetPickerPage(await getClient(accountId(ctx)), state, page);
+      } catch (error) {
+        return ctx.answerCbQuery(apiErrorMessage(error, 'Failed to fetch targets'), { show_alert: true });
+      }
+      await ctx.answerCbQuery();
+      return ctx.editMessageReplyMarkup(targetPickerKeyboard(state).reply_markup);
+    }
+    
+    if (data !== 'wizard_targets_done') {
+      return wizardHint(ctx, '👆 Select targets using the buttons above, then tap ✅ Done.');
+    }
+    
+    if (state.targetIds.length === 0) {
+      return ctx.answerCbQuery('⚠️ Select at least one target.', { show_alert: true });
+    }
+    
+    await ctx.answerCbQuery();
+    
+    const targetNames = state.targetIds
+      .map(id => `• ${state.targetNames[id] || `#${id}`}`)
+      .join('\n');
+    
+    const editing = state.mode === 'edit';
+    
+    await ctx.editMessageText(
+      `${jobWizardHeading(state, 4)}\n\n` +
+      `🔧 Type: ${JOB_TYPES[state.jobType] || state.jobType}\n` +
+      `📝 Name: ${state.name}\n` +
+      `🎯 Targets (${state.targetIds.length}):\n${targetNames}\n\n` +
+      (editing ? `Save these changes?` : `Create this job?`),
+      Markup.inlineKeyboard(editing
+        ? [
+          [Markup.button.callback('💾 Save', 'wizard_confirm')],
+          [wizardCancelButton]
+        ]
+        : [
+          [Markup.button.callback('✅ Create', 'wizard_confirm')],
+          [Markup.button.callback('🚀 Create & Run now', 'wizard_confirm_run')],
+          [wizardCancelButton]
+        ])
+    );
+    return ctx.wizard.next();
+  },
+  
+  // Step 5: create (and optionally run) the job
+  async (ctx) => {
+    const data = ctx.callbackQuery?.data;
+    if (data !== 'wizard_confirm' && data !== 'wizard_confirm_run') {
+      return wizardHint(ctx, '👆 Please confirm or cancel using the buttons above.');
+    }
+    
+    const client = await getClient(accountId(ctx));
+    const { mode, jobId, jobType, name, targetIds } = ctx.wizard.state;
+    
+    if (mode === 'edit') {
+      await ctx.answerCbQuery('👁️ Saving job...');
+      
+      try {
+        const response = await apiRequest(client, `/jobs/${jobId}`, 'PATCH', {
+          name,
+          target_ids: targetIds
+        });
+        await recordAudit(ctx, 'job.update', { resourceId: jobId, status: response.status, detail: name });
+        await ctx.editMessageText(
+          `✅ Job "${name}" updated!`,
+          Markup.inlineKeyboard([[Markup.button.callback('📊 View Job', `job_${jobId}`)]])
+        );
+      } catch (error) {
+        await recordAudit(ctx, 'job.update', { resourceId: jobId, ...auditFailure(error), detail: name });
+        await ctx.editMessageText(apiErrorMessage(error, 'Failed to update job'));
+      }
+      return ctx.scene.leave();
+    }
+    
+    await ctx.answerCbQuery('👁️ Creating job...');
+    
+    try {
+      const created = await apiRequest(client, '/jobs', 'POST', {
+        name,
+        job_type: jobType,
+        target_ids: targetIds
+      });
+      const job = created.data.data;
+      await recordAudit(ctx, 'job.create', {
+        resourceId: String(job.id),
+        status: created.status,
+        detail: mode === 'clone' ? `${name} (clone of #${jobId})` : name
+      });
+      
+      let message = `✅ Job "${job.name}" created successfully!`;
+      
+      if (data === 'wizard_confirm_run') {
+        try {
+          const response = await apiRequest(client, `/jobs/${job.id}/run`, 'POST');
+          await recordAudit(ctx, 'job.run', { resourceId: String(job.id), status: response.status });
+          message += '\n\n🚀 Job started!';
+          await startJobWatch(ctx, job.id);
+        } catch (error) {
+          await recordAudit(ctx, 'job.run', { resourceId: String(job.id), ...auditFailure(error) });
+          message += `\n\n⚠️ The job could not be started: ${error.error || 'unknown error'}`;
+        }
+      }
+      
+      await ctx.editMessageText(
+        message,
+        Markup.inlineKeyboard([
+          [Markup.button.callback('📊 View Job', `job_${job.id}`)],
+          [Markup.button.callback('🔙 Back to Jobs', 'back_jobs')]
+        ])
+      );
+    } catch (error) {
+      await recordAudit(ctx, 'job.create', { ...auditFailure(error), detail: name });
+      await ctx.editMessageText(apiErrorMessage(error, 'Failed to create job'));
+    }
+    
+    return ctx.scene.leave();
+  }
+);
+
+handleWizardCancel(jobWizard, (ctx) => JOB_WIZARD_CANCELLED[ctx.wizard.state.mode || 'create']);
+stage.register(jobWizard);
+
+bot.action('jobs_create', async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_jobs')) return;
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  await ctx.scene.enter('job_create');
+});
+
+// Clone and Edit Job
+const JOB_CLONE_SUFFIX = ' (copy)';
+
+const enterJobWizard = async (ctx, mode) => {
+  const client = await getClient(accountId(ctx));
+  const jobId = ctx.match[1];
+  
+  try {
+    const { data: job } = await makeApiRequest(client, `/jobs/${jobId}`, 'GET', null, { fresh: true });
+    if (mode === 'edit' && JOB_ACTIVE_STATUSES.includes(job.status)) {
+      return ctx.answerCbQuery(`⏳ A ${job.status} job can't be edited.`, { show_alert: true });
+    }
+    
+    await ctx.answerCbQuery();
+    const suggestedName = mode === 'clone'
+      ? `${job.name.slice(0, JOB_NAME_MAX_LENGTH - JOB_CLONE_SUFFIX.length)}${JOB_CLONE_SUFFIX}`
+      : job.name;
+    
+    await ctx.scene.enter('job_create', {
+      mode,
+      jobId,
+      jobType: job.job_type,
+      suggestedName,
+      sourceTargetIds: job.target_ids || (job.targets || []).map(target => target.id),
+      sourceTargetNames: Object.fromEntries((job.targets || []).map(target => [target.id, target.identifier]))
+    });
+  } catch (error) {
+    await ctx.answerCbQuery(apiErrorMessage(error, 'Failed to fetch job'), { show_alert: true });
+  }
+};
+
+bot.action(/^clone_job_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_jobs')) return;
+  await enterJobWizard(ctx, 'clone');
+});
+
+bot.action(/^edit_job_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_jobs')) return;
+  await enterJobWizard(ctx, 'edit');
+});
+
+// Delete Job
+bot.action(/^delete_job_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'delete_jobs')) return;
+  const keyboard = Markup.inlineKeyboard([
+    [
+      Markup.button.callback('✅ Yes, Delete', `confirm_delete_job_${ctx.match[1]}`),
+      Markup.button.callback('❌ Cancel', `job_${ctx.match[1]}`)
+    ]
+  ]);
+  
+  await ctx.editMessageText(
+    '⚠️ Are you sure you want to delete this job?\n\nThis action cannot be undone.',
+    keyboard
+  );
+});
+
+bot.action(/^confirm_delete_job_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'delete_jobs')) return;
+  await ctx.answerCbQuery('👁️ Deleting job...');
+  const client = await getClient(accountId(ctx));
+  const jobId = ctx.match[1];
+  
+  try {
+    const response = await apiRequest(client, `/jobs/${jobId}`, 'DELETE');
+    await recordAudit(ctx, 'job.delete', { resourceId: jobId, status: response.status });
+    await ctx.answerCbQuery('✅ Job deleted!', { show_alert: true });
+    
+    // React to the message
+    try {
+      await ctx.telegram.setMessageReaction(ctx.chat.id, ctx.callbackQuery.message.message_id, '🗑');
+    } catch (e) {}
+    
+    await ctx.editMessageText('✅ Job deleted successfully!');
+    setTimeout(() => ctx.reply(t(ctx, 'choose_option'), mainMenu(ctx)), 1000);
+  } catch (error) {
+    await recordAudit(ctx, 'job.delete', { resourceId: jobId, ...auditFailure(error) });
+    await ctx.answerCbQuery(apiErrorMessage(error, 'Request failed'), { show_alert: true });
+  }
+});
+
+// Targets Handler
+const targetsMenuKeyboard = Markup.inlineKeyboard([
+  [Markup.button.callback('📋 List Targets', 'targets_list')],
+  [Markup.button.callback('➕ Create Target', 'targets_create')],
+  [Markup.button.callback('📥 Import from File', 'targets_import')],
+  [Markup.button.callback('🔙 Back', 'back_menu')]
+]);
+
+bot.hears(menuLabels('menu.targets'), async (ctx) => {
+  await reactToMessage(ctx, '👀');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  await ctx.reply(t(ctx, 'targets.menu', { profile: profileLine(client) }), targetsMenuKeyboard);
+});
+
+// List Targets
+const showTargetsList = async (ctx, client, page) => {
+  const data = await makeApiRequest(client, `/targets?page=${page}&per_page=${client.pageSize}`);
+  
+  if (data.data.length === 0) {
+    return respond(ctx, page > 1 ? `📭 There is no page ${page}.` : '📭 No targets found.');
+  }
+  
+  rememberListPage(ctx, 'targets', `targets_page_${page}`);
+  
+  const buttons = data.data.map(target => [
+    Markup.button.callback(
+      `🎯 ${target.identifier}`,
+      `target_${target.id}`
+    )
+  ]);
+  
+  buttons.push(...paginationButtons('targets_page_', data.pagination.page, data.pagination.pages));
+  buttons.push([Markup.button.callback('🔙 Back', 'back_targets')]);
+  
+  await respond(
+    ctx,
+    `🎯 Targets (Page ${data.pagination.page}/${data.pagination.pages})\n\n` +
+    `Select a target:`,
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+bot.action(/^targets_(?:list|page_(\d+))$/, async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading targets...');
+  const client = await getClient(accountId(ctx));
+  
+  try {
+    await showTargetsList(ctx, client, Number(ctx.match[1]) || 1);
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to fetch targets'));
+  }
+});
+
+bot.command('targets', async (ctx) => {
+  const page = parsePageArg(ctx.message.text.split(' ')[1]);
+  if (!page) return ctx.reply('❌ Usage: /targets [page]\n\n📝 Example:\n/targets 2');
+  
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  try {
+    await showTargetsList(ctx, client, page);
+  } catch (error) {
+    await ctx.reply(apiErrorMessage(error, 'Failed to fetch targets'));
+  }
+});
+
+// Target Details
+const showTargetDetails = async (ctx, client, targetId) => {
+  const data = await makeApiRequest(client, `/targets/${targetId}`);
+  const target = data.data;
+  
+  const jobs = target.jobs || [];
+  const jobLines = jobs.length > 0
+    ? jobs.map(job => `• ${JOB_STATUS_EMOJI[job.status] || '❓'} ${job.name}`).join('\n')
+    : 'None';
+  
+  const message = 
+    `🎯 Target Details\n\n` +
+    `🆔 ID: ${target.id}\n` +
+    `👤 Identifier: ${target.identifier}\n` +
+    `📱 Platform: ${target.platform || 'N/A'}\n` +
+    `📅 Created: ${formatDate(target.created_at, client.timezone)}\n\n` +
+    `📊 Linked Jobs (${jobs.length}):\n${jobLines}`;
+  
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback('✏️ Edit', `edit_target_${targetId}`)],
+    [Markup.button.callback('🗑️ Delete', `delete_target_${targetId}`)],
+    [Markup.button.callback('🔙 Back to List', lastListPage(ctx, 'targets', 'targets_list'))]
+  ]);
+  
+  await ctx.editMessageText(message, keyboard);
+};
+
+bot.action(/^target_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading target details...');
+  const client = await getClient(accountId(ctx));
+  const targetId = ctx.match[1];
+  
+  try {
+    await showTargetDetails(ctx, client, targetId);
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to fetch target'));
+  }
+});
+
+// Target Input Parsing
+const TARGET_PLATFORMS = {
+  'instagram': '📸 Instagram',
+  'tiktok': '🎵 TikTok',
+  'youtube': '▶️ YouTube',
+  'twitter': '🐦 Twitter / X'
+};
+
+const PLATFORM_HOSTS = {
+  'instagram.com': 'instagram',
+  'tiktok.com': 'tiktok',
+  'youtube.com': 'youtube',
+  'twitter.com': 'twitter',
+  'x.com': 'twitter'
+};
+
+const HANDLE_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Turn a handle, @handle or profile URL into { identifier, platform }.
+// Returns null when the input can't be used as a target.
+const normalizeTarget = (raw) => {
+  const value = raw.trim();
+  if (!value) return null;
+  
+  if (/^(https?:\/\/)?([\w-]+\.)*[\w-]+\.[a-z]{2,}\//i.test(value)) {
+    let url;
+    try {
+      url = new URL(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    } catch (e) {
+      return null;
+    }
+    
+    const host = url.hostname.toLowerCase().replace(/^(www\.|m\.)/, '');
+    const platform = PLATFORM_HOSTS[host];
+    if (!platform) return null;
+    
+    // youtube.com/c/name and youtube.com/channel/id keep the last segment
+    const segments = url.pathname.split('/').filter(Boolean);
+    const handle = (['c', 'channel', 'user'].includes(segments[0]) ? segments[1] : segments[0]) || '';
+    const identifier = handle.replace(/^@/, '');
+    
+    return HANDLE_PATTERN.test(identifier) ? { identifier, platform } : null;
+  }
+  
+  const identifier = value.replace(/^@/, '');
+  return HANDLE_PATTERN.test(identifier) ? { identifier, platform: null } : null;
+};
+
+// Split pasted text (lines, commas or spaces) into unique targets and invalid entries
+const parseTargetInput = (text) => {
+  const targets = [];
+  const invalid = [];
+  const seen = new Set();
+  
+  text.split(/[\s,;]+/).filter(Boolean).forEach(raw => {
+    const target = normalizeTarget(raw);
+    if (!target) {
+      invalid.push(raw);
+      return;
+    }
+    
+    const key = `${target.platform || ''}:${target.identifier.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    targets.push(target);
+  });
+  
+  return { targets, invalid };
+};
+
+const platformKeyboard = (prefix) => {
+  const buttons = Object.entries(TARGET_PLATFORMS).map(([platform, label]) => [
+    Markup.button.callback(label, `${prefix}${platform}`)
+  ]);
+  buttons.push([wizardCancelButton]);
+  return Markup.inlineKeyboard(buttons);
+};
+
+// Create Target Wizard
+// Longer failure lists are cut short in the summary and sent in full as a CSV
+const TARGET_SUMMARY_MAX_ITEMS = 10;
+const TARGET_SUMMARY_LINE_MAX = 120;
+
+const summaryList = (title, lines) => {
+  const shown = lines.slice(0, TARGET_SUMMARY_MAX_ITEMS)
+    .map(line => `• ${line.length > TARGET_SUMMARY_LINE_MAX ? `${line.slice(0, TARGET_SUMMARY_LINE_MAX)}…` : line}`);
+  if (lines.length > shown.length) shown.push(`…and ${lines.length - shown.length} more`);
+  return `\n\n${title} (${lines.length}):\n${shown.join('\n')}`;
+};
+
+const createTargets = async (ctx, targets, invalid) => {
+  const client = await getClient(accountId(ctx));
+  const loadingMsg = await ctx.reply(`👁️ Creating ${targets.length} target(s)...`);
+  
+  const created = [];
+  const failed = [];
+  
+  for (const target of targets) {
+    try {
+      const response = await apiRequest(client, '/targets', 'POST', target);
+      await recordAudit(ctx, 'target.create', {
+        resourceId: String(response.data.data?.id ?? target.identifier),
+        status: response.status,
+        detail: target.identifier
+      });
+      created.push(target.identifier);
+    } catch (error) {
+      await recordAudit(ctx, 'target.create', { ...auditFailure(error), detail: target.identifier });
+      failed.push({ ...target, reason: error.error || 'failed' });
+    }
+  }
+  
+  let message = `✅ Created ${created.length} of ${targets.length} target(s).`;
+  if (failed.length > 0) {
+    message += summaryList('❌ Failed', failed.map(row => `${row.identifier} (${row.reason})`));
+  }
+  if (invalid.length > 0) {
+    message += summaryList('⚠️ Skipped invalid', invalid);
+  }
+  
+  await ctx.telegram.editMessageText(
+    ctx.chat.id,
+    loadingMsg.message_id,
+    null,
+    message,
+    Markup.inlineKeyboard([
+      [Markup.button.callback('📋 List Targets', 'targets_list')],
+      [Markup.button.callback('🔙 Back', 'back_targets')]
+    ])
+  );
+  
+  if (failed.length > TARGET_SUMMARY_MAX_ITEMS || invalid.length > TARGET_SUMMARY_MAX_ITEMS) {
+    const rows = [
+      ...failed,
+      ...invalid.map(identifier => ({ identifier, platform: '', reason: 'invalid' }))
+    ];
+    const report = 'identifier,platform,reason\n' +
+      rows.map(row => [row.identifier, row.platform || '', row.reason].map(csvEscape).join(',')).join('\n');
+    await ctx.replyWithDocument(
+      { source: Buffer.from(report), filename: 'target-failures.csv' },
+      { caption: `📄 ${rows.length} target(s) not created` }
+    );
+  }
+  await reactToMessage(ctx, created.length > 0 ? '✅' : '❌');
+};
+
+const targetWizard = new Scenes.WizardScene(
+  'target_create',
+  
+  // Step 1: ask for one or more identifiers
+  async (ctx) => {
+    await ctx.editMessageText(
+      '➕ Create Target\n\n' +
+      'Send a handle or profile URL.\n' +
+      'To add several at once, paste a list (one per line or comma separated).\n\n' +
+      '📝 Example:\n' +
+      '@alice\n' +
+      'https://instagram.com/bob',
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  // Step 2: parse the list, ask for a platform if any entry needs one
+  async (ctx) => {
+    const text = ctx.message?.text?.trim();
+    if (!text || text.startsWith('/') || mainMenuLabels.includes(text)) {
+      return wizardHint(ctx, '✏️ Please send handles or profile URLs as a text message, or tap ❌ Cancel.');
+    }
+    
+    const { targets, invalid } = parseTargetInput(text);
+    if (targets.length === 0) {
+      return ctx.reply('❌ No valid handles or profile URLs found. Try again:');
+    }
+    
+    ctx.wizard.state.targets = targets;
+    ctx.wizard.state.invalid = invalid;
+    
+    const missing = targets.filter(t => !t.platform).length;
+    if (missing === 0) {
+      await createTargets(ctx, targets, invalid);
+      return ctx.scene.leave();
+    }
+    
+    await ctx.reply(
+      `📱 ${missing} of ${targets.length} target(s) have no platform.\n\nChoose the platform for them:`,
+      platformKeyboard('wizard_platform_')
+    );
+    return ctx.wizard.next();
+  },
+  
+  // Step 3: apply the platform and create
+  async (ctx) => {
+    const match = ctx.callbackQuery?.data?.match(/^wizard_platform_(\w+)$/);
+    if (!match || !TARGET_PLATFORMS[match[1]]) {
+      return wizardHint(ctx, '👆 Please choose a platform using the buttons above.');
+    }
+    
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(`📱 Platform: ${TARGET_PLATFORMS[match[1]]}`);
+    
+    const targets = ctx.wizard.state.targets.map(target => ({
+      ...target,
+      platform: target.platform || match[1]
+    }));
+    
+    await createTargets(ctx, targets, ctx.wizard.state.invalid);
+    return ctx.scene.leave();
+  }
+);
+
+handleWizardCancel(targetWizard, 'Target creation cancelled.');
+stage.register(targetWizard);
+
+bot.action('targets_create', async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_targets')) return;
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  await ctx.scene.enter('target_create');
+});
+
+// Target Import
+// Targets from an uploaded CSV or TXT file. CSV files may have a header row
+// naming the identifier and platform columns; otherwise the first column is the
+// identifier and the second, if any, the platform.
+const IMPORT_MAX_FILE_SIZE = 1024 * 1024;
+const IMPORT_MAX_TARGETS = 1000;
+const IMPORT_BATCH_SIZE = 5;
+const IMPORT_PROGRESS_INTERVAL = 3000;
+const IMPORT_IDENTIFIER_COLUMNS = ['identifier', 'handle', 'username', 'url', 'profile', 'target'];
+const PLATFORM_ALIASES = { 'ig': 'instagram', 'tt': 'tiktok', 'yt': 'youtube', 'x': 'twitter' };
+
+// Rows of cells; quoted cells may contain separators, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',' || char === ';' || char === '\t') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  
+  return rows.filter(cells => cells.some(Boolean));
+};
+
+// Rows of { raw, platform } from the file; TXT entries are split like pasted text
+const readImportRows = (text, isCsv) => {
+  const content = text.replace(/^\uFEFF/, '');
+  if (!isCsv) {
+    return content.split(/[\s,;]+/).filter(Boolean).map(raw => ({ raw }));
+  }
+  
+  const rows = parseCsv(content);
+  if (rows.length === 0) return [];
+  
+  const header = rows[0].map(cell => cell.toLowerCase());
+  let identifierColumn = header.findIndex(cell => IMPORT_IDENTIFIER_COLUMNS.includes(cell));
+  let platformColumn = header.indexOf('platform');
+  
+  if (identifierColumn === -1) {
+    identifierColumn = 0;
+    platformColumn = rows[0].length > 1 ? 1 : -1;
+  } else {
+    rows.shift();
+  }
+  
+  return rows
+    .filter(row => row[identifierColumn])
+    .map(row => ({ raw: row[identifierColumn], platform: platformColumn === -1 ? '' : row[platformColumn] }));
+};
+
+// Split rows into new targets, duplicates (in the file or already on the account) and invalid rows
+const classifyImportRows = (rows, existingKeys) => {
+  const targets = [];
+  const invalid = [];
+  const seen = new Set(existingKeys);
+  let duplicates = 0;
+  
+  for (const { raw, platform: column } of rows) {
+    const target = normalizeTarget(raw);
+    if (!target) {
+      invalid.push({ identifier: raw, reason: 'not a handle or supported profile URL' });
+      continue;
+    }
+    
+    if (column && !target.platform) {
+      const platform = PLATFORM_ALIASES[column.toLowerCase()] || column.toLowerCase();
+      if (!TARGET_PLATFORMS[platform]) {
+        invalid.push({ identifier: raw, reason: `unknown platform "${column}"` });
+        continue;
+      }
+      target.platform = platform;
+    }
+    
+    // Without a platform the duplicate check waits until one is chosen
+    const key = `${target.platform || ''}:${target.identifier.toLowerCase()}`;
+    if (target.platform && seen.has(key)) {
+      duplicates++;
+      continue;
+    }
+    seen.add(key);
+    targets.push(target);
+  }
+  
+  return { targets, invalid, duplicates };
+};
+
+const fetchTargetKeys = async (client) => {
+  const keys = new Set();
+  let page = 1;
+  let pages = 1;
+  
+  do {
+    const data = await makeApiRequest(client, `/targets?page=${page}&per_page=${EXPORT_PAGE_SIZE}`, 'GET', null, { fresh: true });
+    data.data.forEach(target => keys.add(`${target.platform || ''}:${String(target.identifier).toLowerCase()}`));
+    pages = data.pagination.pages;
+    page++;
+  } while (page <= pages);
+  
+  return keys;
+};
+
+// Apply the chosen platform to targets without one and drop the new duplicates
+const applyImportPlatform = (state, platform) => {
+  const seen = new Set(state.existingKeys);
+  const targets = [];
+  
+  for (const target of state.targets) {
+    const withPlatform = { ...target, platform: target.platform || platform };
+    const key = `${withPlatform.platform}:${withPlatform.identifier.toLowerCase()}`;
+    if (seen.has(key)) {
+      state.duplicates++;
+      continue;
+    }
+    seen.add(key);
+    targets.push(withPlatform);
+  }
+  state.targets = targets;
+};
+
+const showImportPreview = async (ctx, state) => {
+  const buttons = [];
+  if (state.targets.length > 0) {
+    buttons.push([Markup.button.callback(`✅ Import ${state.targets.length} Target(s)`, 'import_confirm')]);
+  }
+  buttons.push([wizardCancelButton]);
+  
+  const sample = state.targets.slice(0, 5).map(target => `• ${target.identifier} (${target.platform})`).join('\n');
+  await ctx.reply(
+    `📥 Import Preview: ${state.fileName}\n\n` +
+    `🆕 New: ${state.targets.length}\n` +
+    `🔁 Duplicates: ${state.duplicates}\n` +
+    `⚠️ Invalid: ${state.invalid.length}` +
+    (sample ? `\n\n${sample}${state.targets.length > 5 ? '\n…' : ''}` : ''),
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+// Create the targets in batches. Runs detached from the update like lead exports.
+const importTargets = async (ctx, { targets, invalid, fileName, progressMessageId }) => {
+  const client = await getClient(accountId(ctx));
+  const failures = invalid.map(row => ({ ...row, platform: '' }));
+  let created = 0;
+  let lastProgress = Date.now();
+  
+  const updateProgress = async (text, extra) => {
+    try {
+      await ctx.telegram.editMessageText(ctx.chat.id, progressMessageId, null, text, extra);
+    } catch (e) {}
+  };
+  
+  for (let i = 0; i < targets.length; i += IMPORT_BATCH_SIZE) {
+    await Promise.all(targets.slice(i, i + IMPORT_BATCH_SIZE).map(async (target) => {
+      try {
+        const response = await apiRequest(client, '/targets', 'POST', target);
+        await recordAudit(ctx, 'target.create', {
+          resourceId: String(response.data.data?.id ?? target.identifier),
+          status: response.status,
+          detail: `${target.identifier} (import)`
+        });
+        created++;
+      } catch (error) {
+        await recordAudit(ctx, 'target.create', { ...auditFailure(error), detail: `${target.identifier} (import)` });
+        failures.push({ ...target, reason: apiErrorMessage(error, 'failed').replace(/^❌ (Error: )?/, '') });
+      }
+    }));
+    
+    if (Date.now() - lastProgress > IMPORT_PROGRESS_INTERVAL) {
+      lastProgress = Date.now();
+      await updateProgress(`📥 Importing targets...\n\n📦 ${Math.min(i + IMPORT_BATCH_SIZE, targets.length)} of ${targets.length}`);
+    }
+  }
+  
+  await updateProgress(
+    `✅ Import complete: ${created} of ${targets.length} target(s) created.` +
+    (failures.length ? `\n❌ ${failures.length} row(s) failed or were invalid, see the report.` : ''),
+    Markup.inlineKeyboard([
+      [Markup.button.callback('📋 List Targets', 'targets_list')],
+      [Markup.button.callback('🔙 Back', 'back_targets')]
+    ])
+  );
+  
+  if (failures.length > 0) {
+    const report = 'identifier,platform,reason\n' +
+      failures.map(row => [row.identifier, row.platform || '', row.reason].map(csvEscape).join(',')).join('\n');
+    await ctx.replyWithDocument(
+      { source: Buffer.from(report), filename: `import-failures-${fileName.replace(/\.\w+$/, '')}.csv` },
+      { caption: `📄 ${failures.length} row(s) not imported` }
+    );
+  }
+  await reactToMessage(ctx, created > 0 ? '✅' : '❌');
+};
+
+// Check and parse the file, then move the wizard to the platform or confirm step
+const loadImportFile = async (ctx, document) => {
+  const extension = (document.file_name || '').split('.').pop().toLowerCase();
+  if (!['csv', 'txt'].includes(extension)) {
+    await ctx.reply('❌ Only .csv and .txt files are supported. Send another file:');
+    return ctx.wizard.selectStep(1);
+  }
+  if (document.file_size > IMPORT_MAX_FILE_SIZE) {
+    await ctx.reply('❌ The file is too large (max 1 MB). Send another file:');
+    return ctx.wizard.selectStep(1);
+  }
+  
+  const client = await getClient(accountId(ctx));
+  const loadingMsg = await ctx.reply('👁️ Reading file...');
+  
+  let rows;
+  let existingKeys;
+  try {
+    const link = await ctx.telegram.getFileLink(document.file_id);
+    const file = await axios.get(link.href, { responseType: 'arraybuffer', timeout: API_TIMEOUT });
+    rows = readImportRows(Buffer.from(file.data).toString('utf8'), extension === 'csv');
+    existingKeys = await fetchTargetKeys(client);
+  } catch (error) {
+    await ctx.telegram.editMessageText(ctx.chat.id, loadingMsg.message_id, null, apiErrorMessage(error, 'Failed to read file'));
+    return ctx.scene.leave();
+  }
+  await ctx.telegram.deleteMessage(ctx.chat.id, loadingMsg.message_id).catch(() => {});
+  
+  if (rows.length === 0) {
+    await ctx.reply('📭 The file has no rows to import. Send another file:');
+    return ctx.wizard.selectStep(1);
+  }
+  if (rows.length > IMPORT_MAX_TARGETS) {
+    await ctx.reply(`❌ The file has ${rows.length} rows; the limit is ${IMPORT_MAX_TARGETS}. Split it and send another file:`);
+    return ctx.wizard.selectStep(1);
+  }
+  
+  const state = ctx.wizard.state;
+  Object.assign(state, classifyImportRows(rows, existingKeys), { existingKeys: [...existingKeys], fileName: document.file_name });
+  
+  const missing = state.targets.filter(target => !target.platform).length;
+  if (missing === 0) {
+    await showImportPreview(ctx, state);
+    return ctx.wizard.selectStep(3);
+  }
+  
+  await ctx.reply(
+    `📱 ${missing} of ${state.targets.length} target(s) have no platform.\n\nChoose the platform for them:`,
+    platformKeyboard('wizard_platform_')
+  );
+  return ctx.wizard.selectStep(2);
+};
+
+const targetImportWizard = new Scenes.WizardScene(
+  'target_import',
+  
+  // Step 1: ask for the file
+  async (ctx) => {
+    await ctx.editMessageText(
+      '📥 Import Targets\n\n' +
+      'Send a CSV or TXT file with handles or profile URLs.\n\n' +
+      `CSV files can name their columns, e.g. a header row "identifier,platform" ` +
+      `(${Object.keys(TARGET_PLATFORMS).join(', ')}).\n` +
+      `Up to ${IMPORT_MAX_TARGETS} targets per file.`,
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  // Step 2: wait for the file
+  async (ctx) => {
+    const document = ctx.message?.document;
+    if (!document) {
+      return wizardHint(ctx, '📎 Please send a CSV or TXT file, or tap ❌ Cancel.');
+    }
+    return loadImportFile(ctx, document);
+  },
+  
+  // Step 3: platform for rows without one
+  async (ctx) => {
+    const match = ctx.callbackQuery?.data?.match(/^wizard_platform_(\w+)$/);
+    if (!match || !TARGET_PLATFORMS[match[1]]) {
+      return wizardHint(ctx, '👆 Please choose a platform using the buttons above.');
+    }
+    
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(`📱 Platform: ${TARGET_PLATFORMS[match[1]]}`);
+    
+    applyImportPlatform(ctx.wizard.state, match[1]);
+    await showImportPreview(ctx, ctx.wizard.state);
+    return ctx.wizard.next();
+  },
+  
+  // Step 4: confirm and start the import
+  async (ctx) => {
+    if (ctx.callbackQuery?.data !== 'import_confirm') {
+      return wizardHint(ctx, '👆 Tap ✅ Import to start, or ❌ Cancel.');
+    }
+    
+    await ctx.answerCbQuery('📥 Starting import...');
+    const { targets, invalid, fileName } = ctx.wizard.state;
+    await ctx.scene.leave();
+    await ctx.editMessageText(`📥 Importing ${targets.length} target(s)...`);
+    
+    importTargets(ctx, {
+      targets,
+      invalid,
+      fileName,
+      progressMessageId: ctx.callbackQuery.message.message_id
+    }).catch(error => logger.error('Target import failed', { error }));
+  }
+);
+
+handleWizardCancel(targetImportWizard, 'Import cancelled.');
+stage.register(targetImportWizard);
+
+bot.action('targets_import', async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_targets')) return;
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  await ctx.scene.enter('target_import');
+});
+
+// Edit Target Wizard
+const targetEditWizard = new Scenes.WizardScene(
+  'target_edit',
+  
+  // Step 1: ask for the new identifier
+  async (ctx) => {
+    await ctx.editMessageText(
+      '✏️ Edit Target\n\n' +
+      'Send the new handle or profile URL.\n' +
+      'A profile URL also updates the platform.',
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  // Step 2: validate and save
+  async (ctx) => {
+    const text = ctx.message?.text?.trim();
+    if (!text || text.startsWith('/') || mainMenuLabels.includes(text)) {
+      return wizardHint(ctx, '✏️ Please send a handle or profile URL, or tap ❌ Cancel.');
+    }
+    
+    const target = normalizeTarget(text);
+    if (!target) {
+      return ctx.reply('❌ That is not a valid handle or profile URL. Try again:');
+    }
+    
+    const { targetId } = ctx.wizard.state;
+    const update = { identifier: target.identifier };
+    if (target.platform) update.platform = target.platform;
+    
+    const client = await getClient(accountId(ctx));
+    
+    try {
+      const response = await apiRequest(client, `/targets/${targetId}`, 'PUT', update);
+      await recordAudit(ctx, 'target.update', { resourceId: targetId, status: response.status, detail: update.identifier });
+      await ctx.reply(
+        '✅ Target updated successfully!',
+        Markup.inlineKeyboard([[Markup.button.callback('🎯 View Target', `target_${targetId}`)]])
+      );
+    } catch (error) {
+      await recordAudit(ctx, 'target.update', { resourceId: targetId, ...auditFailure(error) });
+      await ctx.reply(apiErrorMessage(error, 'Failed to update target'));
+    }
+    
+    return ctx.scene.leave();
+  }
+);
+
+handleWizardCancel(targetEditWizard, 'Target editing cancelled.');
+stage.register(targetEditWizard);
+
+bot.action(/^edit_target_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_targets')) return;
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('target_edit', { targetId: ctx.match[1] });
+});
+
+// Delete Target
+bot.action(/^delete_target_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'delete_targets')) return;
+  const keyboard = Markup.inlineKeyboard([
+    [
+      Markup.button.callback('✅ Yes, Delete', `confirm_delete_target_${ctx.match[1]}`),
+      Markup.button.callback('❌ Cancel', `target_${ctx.match[1]}`)
+    ]
+  ]);
+  
+  await ctx.editMessageText(
+    '⚠️ Are you sure you want to delete this target?\n\nThis action cannot be undone.',
+    keyboard
+  );
+});
+
+bot.action(/^confirm_delete_target_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'delete_targets')) return;
+  const client = await getClient(accountId(ctx));
+  const targetId = ctx.match[1];
+  
+  try {
+    const response = await apiRequest(client, `/targets/${targetId}`, 'DELETE');
+    await recordAudit(ctx, 'target.delete', { resourceId: targetId, status: response.status });
+    await ctx.answerCbQuery('✅ Target deleted!');
+    
+    // React to the message
+    try {
+      await ctx.telegram.setMessageReaction(ctx.chat.id, ctx.callbackQuery.message.message_id, '🗑');
+    } catch (e) {}
+    
+    await ctx.editMessageText(
+      '✅ Target deleted successfully!',
+      Markup.inlineKeyboard([[Markup.button.callback('📋 List Targets', 'targets_list')]])
+    );
+  } catch (error) {
+    await recordAudit(ctx, 'target.delete', { resourceId: targetId, ...auditFailure(error) });
+    await ctx.answerCbQuery(apiErrorMessage(error, 'Request failed'), { show_alert: true });
+  }
+});
+
+// Leads Handler
+const leadsMenuKeyboard = Markup.inlineKeyboard([
+  [Markup.button.callback('📋 All Leads', 'leads_all')],
+  [Markup.button.callback('✅ Outreach Ready', 'leads_ready')],
+  [Markup.button.callback('🔎 Search & Filter', 'filter_menu')],
+  [Markup.button.callback('📂 Saved Filters', 'filters_saved')],
+  [Markup.button.callback('📊 Pipeline', 'pipeline')],
+  [Markup.button.callback('🔙 Back', 'back_menu')]
+]);
+
+bot.hears(menuLabels('menu.leads'), async (ctx) => {
+  await reactToMessage(ctx, '👀');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  await ctx.reply(t(ctx, 'leads.menu', { profile: profileLine(client) }), leadsMenuKeyboard);
+});
+
+// Lead Filters
+const FOLLOWER_RANGES = [
+  { label: 'Any' },
+  { label: '< 1K', max: 999 },
+  { label: '1K – 10K', min: 1000, max: 9999 },
+  { label: '10K – 100K', min: 10000, max: 99999 },
+  { label: '100K – 1M', min: 100000, max: 999999 },
+  { label: '1M+', min: 1000000 }
+];
+
+const LEAD_SORTS = {
+  'newest': { label: '🆕 Newest first', sort: 'created_at', order: 'desc' },
+  'oldest': { label: '📜 Oldest first', sort: 'created_at', order: 'asc' },
+  'followers_desc': { label: '📈 Most followers', sort: 'followers', order: 'desc' },
+  'followers_asc': { label: '📉 Fewest followers', sort: 'followers', order: 'asc' }
+};
+
+// Map a filter object onto /leads query parameters
+const buildLeadsQuery = (filter = {}) => {
+  const params = new URLSearchParams();
+  
+  if (filter.search) params.set('search', filter.search);
+  if (filter.platform) params.set('platform', filter.platform);
+  if (filter.minFollowers != null) params.set('min_followers', filter.minFollowers);
+  if (filter.maxFollowers != null) params.set('max_followers', filter.maxFollowers);
+  if (filter.hasEmail) params.set('has_email', 'true');
+  if (filter.outreachReady) params.set('outreach_ready', 'true');
+  if (filter.jobId) params.set('job_id', filter.jobId);
+  if (filter.sort && LEAD_SORTS[filter.sort]) {
+    params.set('sort', LEAD_SORTS[filter.sort].sort);
+    params.set('order', LEAD_SORTS[filter.sort].order);
+  }
+  
+  const query = params.toString();
+  return query ? `${query}&` : '';
+};
+
+const followerRangeLabel = (filter) => {
+  const range = FOLLOWER_RANGES.find(r => r.min === filter.minFollowers && r.max === filter.maxFollowers);
+  return range ? range.label : 'Any';
+};
+
+const describeLeadFilter = (filter = {}) => {
+  const parts = [];
+  if (filter.search) parts.push(`🔍 "${filter.search}"`);
+  if (filter.platform) parts.push(`📱 ${filter.platform}`);
+  if (filter.minFollowers != null || filter.maxFollowers != null) parts.push(`👥 ${followerRangeLabel(filter)}`);
+  if (filter.hasEmail) parts.push('📧 has email');
+  if (filter.outreachReady) parts.push('✅ outreach ready');
+  if (filter.jobId) parts.push(`📊 job #${filter.jobId}`);
+  if (filter.sort && LEAD_SORTS[filter.sort]) parts.push(`↕️ ${LEAD_SORTS[filter.sort].label}`);
+  return parts.length > 0 ? parts.join(', ') : 'No filters';
+};
+
+const currentLeadFilter = (ctx) => ctx.session?.leadFilter || {};
+
+const setLeadFilter = (ctx, changes) => {
+  ctx.session.leadFilter = { ...currentLeadFilter(ctx), ...changes };
+};
+
+// List types travel in the callback data:
+// all, ready, job_<ID>, custom (the filter being built) or f<ID> (a saved filter)
+const LEAD_LIST_TYPE = '(all|ready|job_\\d+|custom|f[0-9a-f]{24})';
+
+const resolveLeadFilter = (ctx, client, type) => {
+  if (type === 'ready') return { outreachReady: true };
+  if (type === 'custom') return currentLeadFilter(ctx);
+  
+  const job = type.match(/^job_(\d+)$/);
+  if (job) return { jobId: job[1] };
+  
+  const saved = type.match(/^f([0-9a-f]{24})$/);
+  if (saved) {
+    const savedFilter = client.savedFilters.id(saved[1]);
+    return savedFilter ? savedFilter.filter.toObject() : null;
+  }
+  
+  return {};
+};
+
+const leadListTitle = (client, type) => {
+  if (type === 'ready') return '✅ Outreach Ready Leads';
+  if (type === 'custom') return '🔎 Filtered Leads';
+  
+  const job = type.match(/^job_(\d+)$/);
+  if (job) return `👥 Leads from Job #${job[1]}`;
+  
+  const saved = type.match(/^f([0-9a-f]{24})$/);
+  if (saved) return `📂 ${client.savedFilters.id(saved[1])?.name || 'Saved Filter'}`;
+  
+  return '👥 Leads';
+};
+
+const leadListBackButton = (type) => {
+  const job = type.match(/^job_(\d+)$/);
+  if (job) return Markup.button.callback('🔙 Back to Job', `job_${job[1]}`);
+  if (type === 'custom') return Markup.button.callback('🔙 Back to Filters', 'filter_menu');
+  if (type.startsWith('f')) return Markup.button.callback('🔙 Back to Saved Filters', 'filters_saved');
+  return Markup.button.callback('🔙 Back', 'back_leads');
+};
+
+// List Leads
+const showLeadsList = async (ctx, client, type, page) => {
+  const filter = resolveLeadFilter(ctx, client, type);
+  if (!filter) return respond(ctx, '❌ This saved filter no longer exists.');
+  
+  const data = await makeApiRequest(
+    client,
+    `/leads?${buildLeadsQuery(filter)}page=${page}&per_page=${client.pageSize}`
+  );
+  
+  if (data.data.length === 0) {
+    return respond(ctx, '📭 No leads found.', Markup.inlineKeyboard([[leadListBackButton(type)]]));
+  }
+  
+  rememberListPage(ctx, 'leads', `leads_${type}_page_${page}`);
+  
+  const buttons = data.data.map(lead => [
+    Markup.button.callback(
+      `👤 ${lead.username} (${lead.followers} followers)`,
+      `lead_${lead.id}`
+    )
+  ]);
+  
+  buttons.push(...paginationButtons(`leads_${type}_page_`, data.pagination.page, data.pagination.pages));
+  buttons.push([
+    Markup.button.callback('📤 Export', `export_leads_${type}`),
+    Markup.button.callback('✉️ Messages', `msgs_leads_${type}_${data.pagination.page}`)
+  ]);
+  buttons.push([leadListBackButton(type)]);
+  
+  const summary = ['all', 'ready'].includes(type) || type.startsWith('job_')
+    ? ''
+    : `${describeLeadFilter(filter)}\n`;
+  
+  await respond(
+    ctx,
+    `${leadListTitle(client, type)} (Page ${data.pagination.page}/${data.pagination.pages})\n` +
+    summary +
+    `Total: ${data.pagination.total}\n\n` +
+    `Select a lead:`,
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+bot.action(new RegExp(`^leads_${LEAD_LIST_TYPE}(?:_page_(\\d+))?$`), async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading leads...');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  try {
+    await showLeadsList(ctx, client, ctx.match[1], Number(ctx.match[2]) || 1);
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to fetch leads'));
+  }
+});
+
+// Leads Command
+const leadsUsage =
+  '❌ Usage:\n' +
+  '/leads [page] - All leads\n' +
+  '/leads ready [page] - Outreach-ready leads\n' +
+  '/leads search <text> - Search leads\n\n' +
+  '📝 Example:\n/leads ready 2';
+
+bot.command('leads', async (ctx) => {
+  const args = ctx.message.text.split(' ').slice(1).filter(Boolean);
+  const client = await getClient(accountId(ctx));
+  
+  if (args[0] === 'search') {
+    const text = args.slice(1).join(' ').trim();
+    if (!text) {
+      return ctx.reply('❌ Please provide something to search for:\n/leads search alice');
+    }
+    if (!client) return ctx.reply(t(ctx, 'token_required'));
+    
+    // A new search starts from a clean filter
+    ctx.session.leadFilter = { search: text };
+    
+    try {
+      await showLeadsList(ctx, client, 'custom', 1);
+    } catch (error) {
+      await ctx.reply(apiErrorMessage(error, 'Failed to search leads'));
+    }
+    return;
+  }
+  
+  const type = args[0] === 'ready' ? 'ready' : 'all';
+  const pageArgs = type === 'ready' ? args.slice(1) : args;
+  const page = parsePageArg(pageArgs[0]);
+  if (!page || pageArgs.length > 1) return ctx.reply(leadsUsage);
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  try {
+    await showLeadsList(ctx, client, type, page);
+  } catch (error) {
+    await ctx.reply(apiErrorMessage(error, 'Failed to fetch leads'));
+  }
+});
+
+// Filter Builder
+const filterMenuKeyboard = (filter) => Markup.inlineKeyboard([
+  [Markup.button.callback(`🔍 Search: ${filter.search || 'Any'}`, 'filter_search')],
+  [Markup.button.callback(`📱 Platform: ${filter.platform ? TARGET_PLATFORMS[filter.platform] : 'Any'}`, 'filter_platform')],
+  [Markup.button.callback(`👥 Followers: ${followerRangeLabel(filter)}`, 'filter_followers')],
+  [
+    Markup.button.callback(`${filter.hasEmail ? '☑️' : '⬜'} Has Email`, 'filter_toggle_email'),
+    Markup.button.callback(`${filter.outreachReady ? '☑️' : '⬜'} Outreach Ready`, 'filter_toggle_ready')
+  ],
+  [Markup.button.callback(`📊 Source Job: ${filter.jobId ? `#${filter.jobId}` : 'Any'}`, 'filter_job')],
+  [Markup.button.callback(`↕️ Sort: ${filter.sort ? LEAD_SORTS[filter.sort].label : 'Default'}`, 'filter_sort')],
+  [
+    Markup.button.callback('👀 Show Results', 'leads_custom'),
+    Markup.button.callback('💾 Save', 'filter_save')
+  ],
+  [
+    Markup.button.callback('🧹 Reset', 'filter_reset'),
+    Markup.button.callback('🔙 Back', 'back_leads')
+  ]
+]);
+
+const showFilterMenu = async (ctx) => {
+  const filter = currentLeadFilter(ctx);
+  await respond(
+    ctx,
+    `🔎 Search & Filter\n\n${describeLeadFilter(filter)}\n\nAdjust the filters, then tap 👀 Show Results:`,
+    filterMenuKeyboard(filter)
+  );
+};
+
+bot.action('filter_menu', async (ctx) => {
+  await ctx.answerCbQuery();
+  await showFilterMenu(ctx);
+});
+
+bot.action('filter_reset', async (ctx) => {
+  ctx.session.leadFilter = {};
+  await ctx.answerCbQuery('🧹 Filters cleared');
+  await showFilterMenu(ctx);
+});
+
+bot.action(/^filter_toggle_(email|ready)$/, async (ctx) => {
+  const filter = currentLeadFilter(ctx);
+  if (ctx.match[1] === 'email') {
+    setLeadFilter(ctx, { hasEmail: !filter.hasEmail });
+  } else {
+    setLeadFilter(ctx, { outreachReady: !filter.outreachReady });
+  }
+  await ctx.answerCbQuery();
+  await showFilterMenu(ctx);
+});
+
+bot.action('filter_platform', async (ctx) => {
+  await ctx.answerCbQuery();
+  const buttons = Object.entries(TARGET_PLATFORMS).map(([platform, label]) => [
+    Markup.button.callback(label, `filter_set_platform_${platform}`)
+  ]);
+  buttons.push([Markup.button.callback('🌐 Any', 'filter_set_platform_any')]);
+  await ctx.editMessageText('📱 Choose a platform:', Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^filter_set_platform_(\w+)$/, async (ctx) => {
+  const platform = ctx.match[1];
+  setLeadFilter(ctx, { platform: TARGET_PLATFORMS[platform] ? platform : undefined });
+  await ctx.answerCbQuery();
+  await showFilterMenu(ctx);
+});
+
+bot.action('filter_followers', async (ctx) => {
+  await ctx.answerCbQuery();
+  const buttons = FOLLOWER_RANGES.map((range, idx) => [
+    Markup.button.callback(range.label, `filter_set_followers_${idx}`)
+  ]);
+  await ctx.editMessageText('👥 Choose a follower range:', Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^filter_set_followers_(\d+)$/, async (ctx) => {
+  const range = FOLLOWER_RANGES[Number(ctx.match[1])] || FOLLOWER_RANGES[0];
+  setLeadFilter(ctx, { minFollowers: range.min, maxFollowers: range.max });
+  await ctx.answerCbQuery();
+  await showFilterMenu(ctx);
+});
+
+bot.action('filter_sort', async (ctx) => {
+  await ctx.answerCbQuery();
+  const buttons = Object.entries(LEAD_SORTS).map(([key, sort]) => [
+    Markup.button.callback(sort.label, `filter_set_sort_${key}`)
+  ]);
+  buttons.push([Markup.button.callback('↕️ Default', 'filter_set_sort_default')]);
+  await ctx.editMessageText('↕️ Sort leads by:', Markup.inlineKeyboard(buttons));
+});
+
+bot.action(/^filter_set_sort_(\w+)$/, async (ctx) => {
+  const sort = ctx.match[1];
+  setLeadFilter(ctx, { sort: LEAD_SORTS[sort] ? sort : undefined });
+  await ctx.answerCbQuery();
+  await showFilterMenu(ctx);
+});
+
+bot.action('filter_job', async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading jobs...');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  try {
+    const data = await makeApiRequest(client, `/jobs?page=1&per_page=${client.pageSize}`);
+    const buttons = data.data.map(job => [
+      Markup.button.callback(
+        `${JOB_STATUS_EMOJI[job.status] || '❓'} ${job.name}`,
+        `filter_set_job_${job.id}`
+      )
+    ]);
+    buttons.push([Markup.button.callback('📊 Any Job', 'filter_set_job_any')]);
+    await ctx.editMessageText('📊 Only show leads from this job:', Markup.inlineKeyboard(buttons));
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to fetch jobs'));
+  }
+});
+
+bot.action(/^filter_set_job_(\d+|any)$/, async (ctx) => {
+  setLeadFilter(ctx, { jobId: ctx.match[1] === 'any' ? undefined : ctx.match[1] });
+  await ctx.answerCbQuery();
+  await showFilterMenu(ctx);
+});
+
+// Search Text Wizard
+const filterSearchWizard = new Scenes.WizardScene(
+  'filter_search',
+  
+  async (ctx) => {
+    await ctx.editMessageText(
+      '🔍 Send the text to search leads for (username, name or email):',
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  async (ctx) => {
+    const text = ctx.message?.text?.trim();
+    if (!text || text.startsWith('/') || mainMenuLabels.includes(text)) {
+      return wizardHint(ctx, '✏️ Please send the search text as a message, or tap ❌ Cancel.');
+    }
+    
+    setLeadFilter(ctx, { search: text.slice(0, 100) });
+    await ctx.scene.leave();
+    return showFilterMenu(ctx);
+  }
+);
+
+handleWizardCancel(filterSearchWizard, 'Search cancelled.');
+stage.register(filterSearchWizard);
+
+bot.action('filter_search', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('filter_search');
+});
+
+// Saved Filters
+const MAX_SAVED_FILTERS = 20;
+
+const filterSaveWizard = new Scenes.WizardScene(
+  'filter_save',
+  
+  async (ctx) => {
+    await ctx.editMessageText(
+      `💾 Save Filter\n\n${describeLeadFilter(currentLeadFilter(ctx))}\n\nSend a name for this filter:`,
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  async (ctx) => {
+    const name = ctx.message?.text?.trim();
+    if (!name || name.startsWith('/') || mainMenuLabels.includes(name)) {
+      return wizardHint(ctx, '✏️ Please send the filter name as a message, or tap ❌ Cancel.');
+    }
+    if (name.length > 40) {
+      return ctx.reply('❌ The name is too long (max 40 characters). Try again:');
+    }
+    
+    const client = await getClient(accountId(ctx));
+    if (!client) {
+      await ctx.reply(t(ctx, 'token_required'));
+      return ctx.scene.leave();
+    }
+    
+    const existing = client.savedFilters.find(f => f.name === name);
+    if (!existing && client.savedFilters.length >= MAX_SAVED_FILTERS) {
+      await ctx.reply(`❌ You can save at most ${MAX_SAVED_FILTERS} filters. Delete one first.`);
+      return ctx.scene.leave();
+    }
+    
+    const filter = currentLeadFilter(ctx);
+    if (existing) {
+      existing.filter = filter;
+    } else {
+      client.savedFilters.push({ name, filter });
+    }
+    await client.save();
+    
+    const saved = existing || client.savedFilters[client.savedFilters.length - 1];
+    await ctx.reply(
+      `✅ Filter "${name}" saved!`,
+      Markup.inlineKeyboard([
+        [Markup.button.callback('👀 Show Results', `leads_f${saved._id}`)],
+        [Markup.button.callback('📂 Saved Filters', 'filters_saved')]
+      ])
+    );
+    return ctx.scene.leave();
+  }
+);
+
+handleWizardCancel(filterSaveWizard, 'Saving cancelled.');
+stage.register(filterSaveWizard);
+
+// Saved filters are shared by the whole workspace
+bot.action('filter_save', async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_leads')) return;
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('filter_save');
+});
+
+const showSavedFilters = async (ctx, client) => {
+  if (client.savedFilters.length === 0) {
+    return ctx.editMessageText(
+      '📭 No saved filters yet.\n\nBuild one in 🔎 Search & Filter and tap 💾 Save.',
+      Markup.inlineKeyboard([
+        [Markup.button.callback('🔎 Search & Filter', 'filter_menu')],
+        [Markup.button.callback('🔙 Back', 'back_leads')]
+      ])
+    );
+  }
+  
+  const buttons = client.savedFilters.map(saved => [
+    Markup.button.callback(`📂 ${saved.name}`, `leads_f${saved._id}`),
+    Markup.button.callback('✏️', `filter_load_${saved._id}`),
+    Markup.button.callback('🗑️', `filter_delete_${saved._id}`)
+  ]);
+  buttons.push([Markup.button.callback('🔙 Back', 'back_leads')]);
+  
+  await ctx.editMessageText(
+    '📂 Saved Filters\n\nTap a filter to see its leads, ✏️ to edit it or 🗑️ to delete it:',
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+bot.action('filters_saved', async (ctx) => {
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  await showSavedFilters(ctx, client);
+});
+
+// Load a saved filter into the builder
+bot.action(/^filter_load_([0-9a-f]{24})$/, async (ctx) => {
+  const client = await getClient(accountId(ctx));
+  const saved = client?.savedFilters.id(ctx.match[1]);
+  if (!saved) return ctx.answerCbQuery('❌ Filter not found', { show_alert: true });
+  
+  ctx.session.leadFilter = saved.filter.toObject();
+  await ctx.answerCbQuery(`📂 Loaded "${saved.name}"`);
+  await showFilterMenu(ctx);
+});
+
+bot.action(/^filter_delete_([0-9a-f]{24})$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_leads')) return;
+  await Client.updateOne(
+    { telegramId: accountId(ctx) },
+    { $pull: { savedFilters: { _id: ctx.match[1] } } }
+  );
+  await ctx.answerCbQuery('🗑️ Filter deleted');
+  
+  const client = await getClient(accountId(ctx));
+  if (client) await showSavedFilters(ctx, client);
+});
+
+// Lead Export
+const EXPORT_COLUMNS = ['username', 'full_name', 'followers', 'emails', 'platform'];
+const EXPORT_FORMATS = {
+  'csv': '📄 CSV',
+  'json': '🧾 JSON',
+  'xlsx': '📊 XLSX'
+};
+const EXPORT_PAGE_SIZE = 100;
+const EXPORT_PROGRESS_INTERVAL = 2000;
+
+const exportValue = (value) => {
+  if (Array.isArray(value)) return value.join('; ');
+  return value ?? '';
+};
+
+const csvEscape = (value) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolve once the chunk is written, waiting for the stream to drain if needed
+const writeChunk = (stream, chunk) => new Promise((resolve, reject) => {
+  stream.once('error', reject);
+  if (stream.write(chunk)) {
+    stream.off('error', reject);
+    return resolve();
+  }
+  stream.once('drain', () => {
+    stream.off('error', reject);
+    resolve();
+  });
+});
+
+const endStream = (stream) => new Promise((resolve, reject) => {
+  stream.once('error', reject);
+  stream.end(resolve);
+});
+
+// Row-at-a-time writers so large exports never sit in memory
+const createExportWriter = (format, filePath, columns, sheetName = 'Leads') => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map(column => ({ header: column, key: column, width: 20 }));
+    
+    return {
+      addRow: async (row) => sheet.addRow(row).commit(),
+      finish: async () => {
+        sheet.commit();
+        await workbook.commit();
+      }
+    };
+  }
+  
+  const stream = fs.createWriteStream(filePath);
+  
+  if (format === 'json') {
+    let first = true;
+    return {
+      addRow: async (row) => {
+        await writeChunk(stream, `${first ? '[\n' : ',\n'}  ${JSON.stringify(row)}`);
+        first = false;
+      },
+      finish: async () => {
+        await writeChunk(stream, first ? '[]\n' : '\n]\n');
+        await endStream(stream);
+      }
+    };
+  }
+  
+  let headerWritten = false;
+  const writeHeader = async () => {
+    if (headerWritten) return;
+    headerWritten = true;
+    await writeChunk(stream, `${columns.join(',')}\n`);
+  };
+  
+  return {
+    addRow: async (row) => {
+      await writeHeader();
+      await writeChunk(stream, `${columns.map(column => csvEscape(row[column])).join(',')}\n`);
+    },
+    finish: async () => {
+      await writeHeader();
+      await endStream(stream);
+    }
+  };
+};
+
+const exportOptionsKeyboard = (ctx, type, columns) => {
+  const columnButtons = EXPORT_COLUMNS.map(column => Markup.button.callback(
+    `${columns.includes(column) ? '☑️' : '⬜'} ${column}`,
+    `export_col_${type}_${column}`
+  ));
+  
+  const rows = [];
+  for (let i = 0; i < columnButtons.length; i += 2) {
+    rows.push(columnButtons.slice(i, i + 2));
+  }
+  
+  rows.push(Object.entries(EXPORT_FORMATS).map(([format, label]) =>
+    Markup.button.callback(label, `export_run_${type}_${format}`)
+  ));
+  rows.push([Markup.button.callback('🔙 Back to List', lastListPage(ctx, 'leads', `leads_${type}`))]);
+  
+  return Markup.inlineKeyboard(rows);
+};
+
+const exportColumns = (ctx) => ctx.session?.exportColumns || EXPORT_COLUMNS;
+
+const exportOptionsMessage = (columns) => {
+  return (
+    `📤 Export Leads\n\n` +
+    `Columns: ${columns.join(', ')}\n\n` +
+    `Tap a column to include or exclude it, then choose a format:`
+  );
+};
+
+bot.action(new RegExp(`^export_leads_${LEAD_LIST_TYPE}$`), async (ctx) => {
+  await ctx.answerCbQuery();
+  const columns = exportColumns(ctx);
+  await ctx.editMessageText(exportOptionsMessage(columns), exportOptionsKeyboard(ctx, ctx.match[1], columns));
+});
+
+bot.action(new RegExp(`^export_col_${LEAD_LIST_TYPE}_(\\w+)$`), async (ctx) => {
+  const [, type, column] = ctx.match;
+  const current = exportColumns(ctx);
+  
+  if (!EXPORT_COLUMNS.includes(column)) return ctx.answerCbQuery('❓ Unknown column');
+  
+  const columns = current.includes(column)
+    ? current.filter(c => c !== column)
+    : EXPORT_COLUMNS.filter(c => c === column || current.includes(c));
+  
+  if (columns.length === 0) {
+    return ctx.answerCbQuery('⚠️ Keep at least one column.', { show_alert: true });
+  }
+  
+  ctx.session.exportColumns = columns;
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(exportOptionsMessage(columns), exportOptionsKeyboard(ctx, type, columns));
+});
+
+// Page through /leads and send the result as a document.
+// Runs detached from the update so long exports don't hit the handler timeout.
+const exportLeads = async ({ chatId, telegramId, type, filterQuery, format, columns, progressMessageId }) => {
+  const client = await getClient(telegramId);
+  const filePath = path.join(os.tmpdir(), `leads-${telegramId}-${Date.now()}.${format}`);
+  const writer = createExportWriter(format, filePath, columns);
+  
+  const updateProgress = async (text) => {
+    try {
+      await bot.telegram.editMessageText(chatId, progressMessageId, null, text);
+    } catch (e) {}
+  };
+  
+  let page = 1;
+  let pages = 1;
+  let exported = 0;
+  let lastProgress = Date.now();
+  let finished = false;
+  
+  try {
+    do {
+      const data = await makeApiRequest(
+        client,
+        `/leads?${filterQuery}page=${page}&per_page=${EXPORT_PAGE_SIZE}`
+      );
+      pages = data.pagination.pages;
+      
+      for (const lead of data.data) {
+        const row = {};
+        columns.forEach(column => { row[column] = exportValue(lead[column]); });
+        await writer.addRow(row);
+        exported++;
+      }
+      
+      if (Date.now() - lastProgress > EXPORT_PROGRESS_INTERVAL) {
+        lastProgress = Date.now();
+        await updateProgress(`📤 Exporting leads...\n\n📦 ${exported} of ${data.pagination.total} (page ${page}/${pages})`);
+      }
+      
+      page++;
+    } while (page <= pages);
+    
+    await writer.finish();
+    finished = true;
+    
+    if (exported === 0) {
+      return updateProgress('📭 No leads to export.');
+    }
+    
+    const date = new Date().toISOString().slice(0, 10);
+    await bot.telegram.sendDocument(
+      chatId,
+      { source: filePath, filename: `leads-${type}-${date}.${format}` },
+      { caption: `📤 ${exported} leads exported (${columns.join(', ')})` }
+    );
+    await updateProgress(`✅ Export complete: ${exported} leads.`);
+  } catch (error) {
+    if (!finished) await writer.finish().catch(() => {});
+    await updateProgress(`❌ Export failed: ${error.error || error.message || 'unknown error'}`);
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+};
+
+bot.action(new RegExp(`^export_run_${LEAD_LIST_TYPE}_(csv|json|xlsx)$`), async (ctx) => {
+  await ctx.answerCbQuery('📤 Starting export...');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  const [, type, format] = ctx.match;
+  const filter = resolveLeadFilter(ctx, client, type);
+  if (!filter) return ctx.editMessageText('❌ This saved filter no longer exists.');
+  
+  await ctx.editMessageText(`📤 Exporting leads as ${format.toUpperCase()}...`);
+  
+  exportLeads({
+    chatId: ctx.chat.id,
+    telegramId: accountId(ctx),
+    type: type.startsWith('f') ? 'filtered' : type,
+    filterQuery: buildLeadsQuery(filter),
+    format,
+    columns: exportColumns(ctx),
+    progressMessageId: ctx.callbackQuery.message.message_id
+  }).catch(error => logger.error('Lead export failed', { error }));
+});
+
+// Lead Details
+const formatLeadCard = (lead) => {
+  return (
+    `👤 Lead Details\n\n` +
+    `🆔 Username: @${lead.username}\n` +
+    `👤 Name: ${lead.full_name || 'N/A'}\n` +
+    `📊 Followers: ${formatNumber(lead.followers)}\n` +
+    `📧 Email: ${lead.emails || 'Not available'}\n` +
+    `📱 Platform: ${lead.platform}`
+  );
+};
+
+bot.action(/^lead_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading lead details...');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  try {
+    await showLeadCard(ctx, client, ctx.match[1]);
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to fetch lead'));
+  }
+});
+
+// Leads whose username matches exactly, as /leads search also matches names and substrings
+const findLeadsByUsername = async (client, username) => {
+  const data = await makeApiRequest(client, `/leads?search=${encodeURIComponent(username)}&page=1&per_page=10`);
+  return data.data.filter(lead => lead.username?.toLowerCase() === username.toLowerCase());
+};
+
+bot.command('lead', async (ctx) => {
+  const arg = ctx.message.text.split(' ')[1]?.trim();
+  const username = arg?.replace(/^@/, '');
+  if (!arg || (!/^\d+$/.test(arg) && !HANDLE_PATTERN.test(username))) {
+    return ctx.reply('❌ Usage: /lead <id|@username>\n\n📝 Example:\n/lead 42\n/lead @alice');
+  }
+  
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  try {
+    if (/^\d+$/.test(arg)) {
+      return await showLeadCard(ctx, client, arg);
+    }
+    
+    const matches = await findLeadsByUsername(client, username);
+    if (matches.length === 0) {
+      return ctx.reply(`📭 No lead found for @${username}.\n\nTry /leads search ${username}`);
+    }
+    if (matches.length === 1) {
+      return await showLeadCard(ctx, client, String(matches[0].id));
+    }
+    
+    // The same handle on several platforms
+    await ctx.reply(
+      `👥 ${matches.length} leads are called @${username}:`,
+      Markup.inlineKeyboard(matches.map(lead => [
+        Markup.button.callback(`👤 ${lead.username} (${lead.platform})`, `lead_${lead.id}`)
+      ]))
+    );
+  } catch (error) {
+    await ctx.reply(apiErrorMessage(error, 'Failed to fetch lead'));
+  }
+});
+
+// Lead CRM
+// Notes, tags, pipeline stage and reminders are stored here per account, so a
+// workspace shares them. Leads without a record are at the "new" stage.
+const LEAD_STAGES = {
+  'new': '🆕 New',
+  'contacted': '📨 Contacted',
+  'replied': '💬 Replied',
+  'won': '🏆 Won',
+  'lost': '🚫 Lost'
+};
+const MAX_LEAD_TAGS = 10;
+const MAX_LEAD_NOTES = 50;
+const LEAD_NOTES_SHOWN = 3;
+// Tags travel in callback data, so they are kept short and simple
+const LEAD_TAG_PATTERN = /^[a-z0-9_-]{1,24}$/;
+const REMINDER_POLL_INTERVAL = 60 * 1000;
+
+const REMINDER_PRESETS = {
+  '1h': { label: '⏱️ In 1 hour', at: () => new Date(Date.now() + 60 * 60 * 1000) },
+  '9am': { label: '🌅 Next 9:00', at: (timezone) => nextCronRun('0 9 * * *', timezone) },
+  '3d': { label: '📆 In 3 days', at: () => new Date(Date.now() + 3 * DAY_MS) },
+  '1w': { label: '🗓️ In 1 week', at: () => new Date(Date.now() + 7 * DAY_MS) }
+};
+
+const parseLeadTags = (text) => {
+  const tags = text.split(/[\s,]+/).map(tag => tag.replace(/^#/, '').toLowerCase()).filter(Boolean);
+  return {
+    valid: [...new Set(tags.filter(tag => LEAD_TAG_PATTERN.test(tag)))],
+    invalid: tags.filter(tag => !LEAD_TAG_PATTERN.test(tag))
+  };
+};
+
+const formatLeadRecord = (record, reminders, timezone) => {
+  let text = `\n\n📌 Stage: ${LEAD_STAGES[record?.stage || 'new']}`;
+  if (record?.tags.length) text += `\n🏷️ Tags: ${record.tags.map(tag => `#${tag}`).join(' ')}`;
+  
+  if (record?.notes.length) {
+    text += `\n\n📝 Notes (${record.notes.length}):\n`;
+    text += record.notes.slice(-LEAD_NOTES_SHOWN).map(note =>
+      `• ${note.text}\n  — ${note.authorName || 'unknown'}, ${note.createdAt.toISOString().slice(0, 10)}`
+    ).join('\n');
+  }
+  
+  if (reminders.length) {
+    text += '\n\n⏰ Reminders:\n' +
+      reminders.map(reminder => `• ${formatInTimezone(reminder.remindAt, timezone)}`).join('\n');
+  }
+  return text;
+};
+
+const leadCardKeyboard = (ctx, leadId) => Markup.inlineKeyboard([
+  [
+    Markup.button.callback('📌 Stage', `lead_stage_${leadId}`),
+    Markup.button.callback('🏷️ Tags', `lead_tags_${leadId}`)
+  ],
+  [
+    Markup.button.callback('📝 Add Note', `lead_note_${leadId}`),
+    Markup.button.callback('⏰ Remind Me', `lead_remind_${leadId}`)
+  ],
+  [Markup.button.callback('✉️ Message', `lead_msg_${leadId}`)],
+  [Markup.button.callback('🔙 Back to List', lastListPage(ctx, 'leads', 'leads_all'))]
+]);
+
+// Reply from commands and wizards, edit the card from buttons
+const showLeadCard = async (ctx, client, leadId) => {
+  const data = await makeApiRequest(client, `/leads/${leadId}`);
+  const account = accountId(ctx);
+  const record = await LeadRecord.findOne({ accountId: account, leadId });
+  const reminders = await Reminder.find({ accountId: account, leadId, sentAt: null }).sort({ remindAt: 1 });
+  
+  await respond(
+    ctx,
+    formatLeadCard(data.data) + formatLeadRecord(record, reminders, client.timezone),
+    leadCardKeyboard(ctx, leadId)
+  );
+};
+
+// Apply an update to the lead's record, refreshing the lead fields used by /pipeline lists
+const updateLeadRecord = async (ctx, client, leadId, update) => {
+  const { data: lead } = await makeApiRequest(client, `/leads/${leadId}`);
+  return LeadRecord.findOneAndUpdate(
+    { accountId: accountId(ctx), leadId },
+    {
+      ...update,
+      $set: {
+        ...update.$set,
+        username: lead.username,
+        fullName: lead.full_name,
+        platform: lead.platform,
+        followers: lead.followers,
+        updatedAt: new Date()
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Resolve the client and run an update from a lead card button, then show the card again
+const leadCardAction = (handler) => async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_leads')) return;
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.answerCbQuery(t(ctx, 'token_required'), { show_alert: true });
+  
+  try {
+    await handler(ctx, client, ctx.match[1]);
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to update lead'));
+  }
+};
+
+bot.action(/^lead_stage_(\d+)$/, leadCardAction(async (ctx, client, leadId) => {
+  await ctx.answerCbQuery();
+  const record = await LeadRecord.findOne({ accountId: accountId(ctx), leadId });
+  const current = record?.stage || 'new';
+  
+  const buttons = Object.entries(LEAD_STAGES).map(([key, label]) => [
+    Markup.button.callback(key === current ? `✔️ ${label}` : label, `lead_setstage_${leadId}_${key}`)
+  ]);
+  buttons.push([Markup.button.callback('🔙 Back to Lead', `lead_${leadId}`)]);
+  
+  await ctx.editMessageText('📌 Move the lead to stage:', Markup.inlineKeyboard(buttons));
+}));
+
+bot.action(/^lead_setstage_(\d+)_(\w+)$/, leadCardAction(async (ctx, client, leadId) => {
+  const stage = ctx.match[2];
+  if (!LEAD_STAGES[stage]) return ctx.answerCbQuery('❓ Unknown stage');
+  
+  await updateLeadRecord(ctx, client, leadId, { $set: { stage } });
+  await recordAudit(ctx, 'lead.stage', { resourceId: leadId, detail: stage });
+  await ctx.answerCbQuery(`📌 ${LEAD_STAGES[stage]}`);
+  await showLeadCard(ctx, client, leadId);
+}));
+
+// Tags
+const showLeadTags = async (ctx, leadId) => {
+  const record = await LeadRecord.findOne({ accountId: accountId(ctx), leadId });
+  const tags = record?.tags || [];
+  
+  const buttons = tags.map(tag => [Markup.button.callback(`❌ #${tag}`, `lead_untag_${leadId}_${tag}`)]);
+  if (tags.length < MAX_LEAD_TAGS) {
+    buttons.push([Markup.button.callback('➕ Add Tags', `lead_addtags_${leadId}`)]);
+  }
+  buttons.push([Markup.button.callback('🔙 Back to Lead', `lead_${leadId}`)]);
+  
+  await ctx.editMessageText(
+    tags.length ? '🏷️ Tap a tag to remove it:' : '🏷️ This lead has no tags yet.',
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+bot.action(/^lead_tags_(\d+)$/, leadCardAction(async (ctx, client, leadId) => {
+  await ctx.answerCbQuery();
+  await showLeadTags(ctx, leadId);
+}));
+
+bot.action(/^lead_untag_(\d+)_(.+)$/, leadCardAction(async (ctx, client, leadId) => {
+  const tag = ctx.match[2];
+  await updateLeadRecord(ctx, client, leadId, { $pull: { tags: tag } });
+  await recordAudit(ctx, 'lead.untag', { resourceId: leadId, detail: tag });
+  await ctx.answerCbQuery(`Removed #${tag}`);
+  await showLeadTags(ctx, leadId);
+}));
+
+bot.action(/^lead_addtags_(\d+)$/, leadCardAction(async (ctx, client, leadId) => {
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('lead_input', { mode: 'tags', leadId });
+}));
+
+bot.action(/^lead_note_(\d+)$/, leadCardAction(async (ctx, client, leadId) => {
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('lead_input', { mode: 'note', leadId });
+}));
+
+// Reminders
+const createReminder = async (ctx, client, leadId, remindAt) => {
+  const record = await updateLeadRecord(ctx, client, leadId, {});
+  await Reminder.create({
+    accountId: accountId(ctx),
+    leadId,
+    username: record.username,
+    telegramId: ctx.from.id.toString(),
+    name: memberName(ctx.from),
+    chatId: ctx.chat.id,
+    remindAt
+  });
+  await recordAudit(ctx, 'lead.remind', { resourceId: leadId, detail: remindAt.toISOString() });
+};
+
+bot.action(/^lead_remind_(\d+)$/, leadCardAction(async (ctx, client, leadId) => {
+  await ctx.answerCbQuery();
+  
+  const buttons = Object.entries(REMINDER_PRESETS).map(([key, preset]) => [
+    Markup.button.callback(preset.label, `lead_remindat_${leadId}_${key}`)
+  ]);
+  buttons.push([Markup.button.callback('📅 Pick a Date', `lead_remindat_${leadId}_custom`)]);
+  buttons.push([Markup.button.callback('🔙 Back to Lead', `lead_${leadId}`)]);
+  
+  await ctx.editMessageText(
+    `⏰ When should I remind you to follow up?\n🌍 Timezone: ${client.timezone}`,
+    Markup.inlineKeyboard(buttons)
+  );
+}));
+
+bot.action(/^lead_remindat_(\d+)_(\w+)$/, leadCardAction(async (ctx, client, leadId) => {
+  const key = ctx.match[2];
+  if (key === 'custom') {
+    await ctx.answerCbQuery();
+    return ctx.scene.enter('lead_input', { mode: 'remind', leadId });
+  }
+  
+  const preset = REMINDER_PRESETS[key];
+  if (!preset) return ctx.answerCbQuery('❓ Unknown reminder');
+  
+  const remindAt = preset.at(client.timezone);
+  await createReminder(ctx, client, leadId, remindAt);
+  await ctx.answerCbQuery(`⏰ ${formatInTimezone(remindAt, client.timezone)}`);
+  await showLeadCard(ctx, client, leadId);
+}));
+
+// Lead Input Wizard (note, tags or reminder date)
+const leadInputPrompts = {
+  note: () => '📝 Send the note for this lead:',
+  tags: () => '🏷️ Send one or more tags, separated by spaces or commas:\n\n📝 Example:\nagency, #priority',
+  remind: (client) => `📅 Send the date and time for the reminder (${client.timezone}):\n\n📝 Example:\n2025-03-01 14:30`
+};
+
+const leadInputWizard = new Scenes.WizardScene(
+  'lead_input',
+  
+  async (ctx) => {
+    const client = await getClient(accountId(ctx));
+    await ctx.editMessageText(
+      leadInputPrompts[ctx.wizard.state.mode](client),
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  async (ctx) => {
+    const text = ctx.message?.text?.trim();
+    if (!text || text.startsWith('/') || mainMenuLabels.includes(text)) {
+      return wizardHint(ctx, '✏️ Please send it as a text message, or tap ❌ Cancel.');
+    }
+    
+    const { mode, leadId } = ctx.wizard.state;
+    const client = await getClient(accountId(ctx));
+    let update;
+    let detail;
+    
+    if (mode === 'note') {
+      update = {
+        $push: {
+          notes: {
+            $each: [{ text: text.slice(0, 1000), authorId: ctx.from.id.toString(), authorName: memberName(ctx.from) }],
+            $slice: -MAX_LEAD_NOTES
+          }
+        }
+      };
+    } else if (mode === 'tags') {
+      const { valid, invalid } = parseLeadTags(text);
+      if (invalid.length || !valid.length) {
+        return ctx.reply('❌ Tags may use a-z, 0-9, - and _ (up to 24 characters). Try again:');
+      }
+      
+      const record = await LeadRecord.findOne({ accountId: accountId(ctx), leadId });
+      if (new Set([...(record?.tags || []), ...valid]).size > MAX_LEAD_TAGS) {
+        return ctx.reply(`❌ A lead can have at most ${MAX_LEAD_TAGS} tags. Try again:`);
+      }
+      update = { $addToSet: { tags: { $each: valid } } };
+      detail = valid.join(' ');
+    } else {
+      const remindAt = parseLocalDateTime(text, client.timezone);
+      if (!remindAt) {
+        return ctx.reply('❌ Use the format YYYY-MM-DD HH:MM. Try again:');
+      }
+      if (remindAt <= new Date()) {
+        return ctx.reply('❌ That time is in the past. Try again:');
+      }
+      
+      await ctx.scene.leave();
+      try {
+        await createReminder(ctx, client, leadId, remindAt);
+        await ctx.reply(`⏰ I'll remind you on ${formatInTimezone(remindAt, client.timezone)}.`);
+        return showLeadCard(ctx, client, leadId);
+      } catch (error) {
+        return ctx.reply(apiErrorMessage(error, 'Failed to set reminder'));
+      }
+    }
+    
+    await ctx.scene.leave();
+    try {
+      await updateLeadRecord(ctx, client, leadId, update);
+      await recordAudit(ctx, mode === 'note' ? 'lead.note' : 'lead.tag', { resourceId: leadId, detail });
+      await showLeadCard(ctx, client, leadId);
+    } catch (error) {
+      await ctx.reply(apiErrorMessage(error, 'Failed to update lead'));
+    }
+  }
+);
+
+handleWizardCancel(leadInputWizard, 'Lead update cancelled.');
+stage.register(leadInputWizard);
+
+// Send due reminders; each one is claimed by setting sentAt before it goes out
+let pollingReminders = false;
+
+const pollReminders = async () => {
+  if (pollingReminders || mongoose.connection.readyState !== 1) return;
+  pollingReminders = true;
+  
+  try {
+    let reminder;
+    while ((reminder = await Reminder.findOneAndUpdate(
+      { sentAt: null, remindAt: { $lte: new Date() } },
+      { sentAt: new Date() },
+      { sort: { remindAt: 1 }, new: true }
+    ))) {
+      try {
+        // In groups the user is mentioned so Telegram notifies them
+        const prefix = '⏰ ';
+        const name = reminder.chatId < 0 ? `${reminder.name || reminder.telegramId}, ` : '';
+        await bot.telegram.sendMessage(
+          reminder.chatId,
+          `${prefix}${name}${name ? 'time' : 'Time'} to follow up with ${reminder.username ? `@${reminder.username}` : `lead #${reminder.leadId}`}`,
+          {
+            entities: name ? [{
+              type: 'text_mention',
+              offset: prefix.length,
+              length: name.length - 2,
+              user: { id: Number(reminder.telegramId) }
+            }] : undefined,
+            ...Markup.inlineKeyboard([[Markup.button.callback('👤 Open Lead', `lead_${reminder.leadId}`)]])
+          }
+        );
+      } catch (error) {
+        logger.error('Reminder failed', { reminderId: String(reminder._id), error });
+      }
+    }
+  } catch (error) {
+    logger.error('Reminder polling failed', { error });
+  } finally {
+    pollingReminders = false;
+  }
+};
+
+// Pipeline
+// Counts and lists come from the stored records, not the API
+const PIPELINE_PAGE_SIZE_MAX = 20;
+const PIPELINE_TOP_TAGS = 8;
+
+const showPipeline = async (ctx) => {
+  const account = accountId(ctx);
+  const stages = await LeadRecord.aggregate([
+    { $match: { accountId: account } },
+    { $group: { _id: '$stage', count: { $sum: 1 } } }
+  ]);
+  const tags = await LeadRecord.aggregate([
+    { $match: { accountId: account } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: PIPELINE_TOP_TAGS }
+  ]);
+  const counts = Object.fromEntries(stages.map(({ _id, count }) => [_id, count]));
+  
+  let message = '📊 Outreach Pipeline\n\n' +
+    Object.entries(LEAD_STAGES).map(([key, label]) => `${label}: ${counts[key] || 0}`).join('\n');
+  if (tags.length) {
+    message += '\n\n🏷️ Top tags: ' + tags.map(({ _id, count }) => `#${_id} (${count})`).join(', ');
+  }
+  message += '\n\nLeads you haven\'t touched yet are not counted.';
+  
+  const buttons = Object.entries(LEAD_STAGES).map(([key, label]) => [
+    Markup.button.callback(`${label} (${counts[key] || 0})`, `pipeline_stage_${key}_page_1`)
+  ]);
+  for (let i = 0; i < tags.length; i += 2) {
+    buttons.push(tags.slice(i, i + 2).map(({ _id }) => Markup.button.callback(`#${_id}`, `pipeline_tag_${_id}_page_1`)));
+  }
+  buttons.push([Markup.button.callback('🔙 Back', 'back_leads')]);
+  
+  await respond(ctx, message, Markup.inlineKeyboard(buttons));
+};
+
+bot.command('pipeline', async (ctx) => {
+  const [kind, value] = ctx.message.text.split(' ').slice(1);
+  
+  if (kind === 'stage' && LEAD_STAGES[value]) {
+    return showPipelineLeads(ctx, 'stage', value, 1);
+  }
+  if (kind === 'tag' && value) {
+    return showPipelineLeads(ctx, 'tag', value.replace(/^#/, '').toLowerCase(), 1);
+  }
+  if (kind) {
+    return ctx.reply(
+      '❌ Usage:\n/pipeline - Counts per stage\n' +
+      `/pipeline stage <${Object.keys(LEAD_STAGES).join('|')}>\n` +
+      '/pipeline tag <tag>'
+    );
+  }
+  await showPipeline(ctx);
+});
+
+bot.action('pipeline', async (ctx) => {
+  await ctx.answerCbQuery();
+  await showPipeline(ctx);
+});
+
+const showPipelineLeads = async (ctx, kind, value, page) => {
+  const client = await getClient(accountId(ctx));
+  if (!client) return respond(ctx, t(ctx, 'token_required'));
+  
+  const query = { accountId: accountId(ctx), [kind === 'stage' ? 'stage' : 'tags']: value };
+  const perPage = Math.min(client.pageSize, PIPELINE_PAGE_SIZE_MAX);
+  const total = await LeadRecord.countDocuments(query);
+  const pages = Math.max(Math.ceil(total / perPage), 1);
+  page = Math.min(page, pages);
+  
+  const records = await LeadRecord.find(query)
+    .sort({ updatedAt: -1 })
+    .skip((page - 1) * perPage)
+    .limit(perPage);
+  
+  const title = kind === 'stage' ? LEAD_STAGES[value] : `🏷️ #${value}`;
+  const backButton = Markup.button.callback('🔙 Back to Pipeline', 'pipeline');
+  
+  if (records.length === 0) {
+    return respond(ctx, `${title}\n\n📭 No leads here yet.`, Markup.inlineKeyboard([[backButton]]));
+  }
+  
+  rememberListPage(ctx, 'leads', `pipeline_${kind}_${value}_page_${page}`);
+  
+  const buttons = records.map(record => [
+    Markup.button.callback(
+      `👤 ${record.username || record.leadId}` + (kind === 'tag' ? ` · ${LEAD_STAGES[record.stage]}` : ''),
+      `lead_${record.leadId}`
+    )
+  ]);
+  buttons.push(...paginationButtons(`pipeline_${kind}_${value}_page_`, page, pages));
+  buttons.push([backButton]);
+  
+  await respond(
+    ctx,
+    `${title} (Page ${page}/${pages})\nTotal: ${total}\n\nSelect a lead:`,
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+bot.action(/^pipeline_(stage|tag)_(.+)_page_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await showPipelineLeads(ctx, ctx.match[1], ctx.match[2], Number(ctx.match[3]));
+});
+
+// Message Templates
+// Placeholders are {{field}} or {{field|fallback}}. Without an inline fallback a
+// field the lead doesn't have is replaced by the field's default below.
+const MAX_TEMPLATES = 20;
+const TEMPLATE_BODY_MAX = 2000;
+const TEMPLATE_PLACEHOLDER = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}/gi;
+
+const TEMPLATE_FIELDS = {
+  'username': { value: (lead) => lead.username, fallback: 'there' },
+  'full_name': { value: (lead) => lead.full_name, fallback: (lead) => lead.username ? `@${lead.username}` : 'there' },
+  'first_name': { value: (lead) => lead.full_name?.trim().split(/\s+/)[0], fallback: 'there' },
+  'followers': { value: (lead) => lead.followers != null ? formatNumber(lead.followers) : null, fallback: 'many' },
+  'platform': { value: (lead) => lead.platform, fallback: 'social media' },
+  'email': { value: (lead) => parseEmails(lead.emails)[0], fallback: '' }
+};
+
+const SAMPLE_LEAD = { username: 'jane.doe', full_name: 'Jane Doe', followers: 12500, platform: 'instagram', emails: 'jane@example.com' };
+
+const templateHelp =
+  'Placeholders: ' + Object.keys(TEMPLATE_FIELDS).map(field => `{{${field}}}`).join(', ') + '\n' +
+  'Add a fallback for missing values with {{full_name|friend}}.';
+
+// The emails field is free text from the backend: one or several addresses, or a list
+const parseEmails = (emails) => {
+  const text = Array.isArray(emails) ? emails.join(' ') : String(emails || '');
+  return [...new Set((text.match(EMAIL_PATTERN) || []).map(email => email.toLowerCase()))];
+};
+
+const renderTemplate = (body, lead) => {
+  const missing = new Set();
+  const text = body.replace(TEMPLATE_PLACEHOLDER, (placeholder, field, fallback) => {
+    const definition = TEMPLATE_FIELDS[field];
+    if (!definition) return placeholder;
+    
+    const value = definition.value(lead);
+    if (value != null && value !== '') return String(value);
+    
+    missing.add(field);
+    if (fallback != null) return fallback.trim();
+    return typeof definition.fallback === 'function' ? definition.fallback(lead) : definition.fallback;
+  });
+  return { text, missing: [...missing] };
+};
+
+const unknownPlaceholders = (body) => {
+  return [...body.matchAll(TEMPLATE_PLACEHOLDER)].map(match => match[1]).filter(field => !TEMPLATE_FIELDS[field]);
+};
+
+// Telegram buttons only open http(s) links, so mailto links go through the
+// /mailto redirect on this server. Needs a public URL; without one the
+// addresses are listed in the message, where Telegram makes them tappable.
+const PUBLIC_URL = (process.env.PUBLIC_URL || process.env.WEBHOOK_DOMAIN || '').replace(/\/$/, '');
+const MAILTO_BODY_MAX = 1500;
+
+const mailtoButtons = (emails, text) => {
+  if (!PUBLIC_URL) return [];
+  return emails.slice(0, 3).map(email => [
+    Markup.button.url(`📧 ${email}`, `${PUBLIC_URL}/mailto?${new URLSearchParams({ to: email, body: text.slice(0, MAILTO_BODY_MAX) })}`)
+  ]);
+};
+
+const findTemplate = (client, id) => client?.templates.id(id);
+
+const showTemplates = async (ctx, client) => {
+  const buttons = client.templates.map(template => [
+    Markup.button.callback(`✉️ ${template.name}`, `template_${template._id}`)
+  ]);
+  if (client.templates.length < MAX_TEMPLATES) {
+    buttons.push([Markup.button.callback('➕ New Template', 'template_new')]);
+  }
+  
+  await respond(
+    ctx,
+    client.templates.length
+      ? `✉️ Message Templates (${client.templates.length}/${MAX_TEMPLATES})\n\nSelect a template:`
+      : `📭 No templates yet.\n\n${templateHelp}`,
+    Markup.inlineKeyboard(buttons)
+  );
+};
+
+bot.command('templates', async (ctx) => {
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  await showTemplates(ctx, client);
+});
+
+bot.action('templates', async (ctx) => {
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  await showTemplates(ctx, client);
+});
+
+const showTemplate = async (ctx, client, template) => {
+  const preview = renderTemplate(template.body, SAMPLE_LEAD).text;
+  await respond(
+    ctx,
+    `✉️ ${template.name}\n\n${template.body}\n\n👀 Preview for @${SAMPLE_LEAD.username}:\n\n${preview}`,
+    Markup.inlineKeyboard([
+      [
+        Markup.button.callback('✏️ Edit', `template_edit_${template._id}`),
+        Markup.button.callback('🗑️ Delete', `template_delete_${template._id}`)
+      ],
+      [Markup.button.callback('🔙 Back to Templates', 'templates')]
+    ])
+  );
+};
+
+bot.action(/^template_([0-9a-f]{24})$/, async (ctx) => {
+  const client = await getClient(accountId(ctx));
+  const template = findTemplate(client, ctx.match[1]);
+  if (!template) return ctx.answerCbQuery('❌ Template not found', { show_alert: true });
+  
+  await ctx.answerCbQuery();
+  await showTemplate(ctx, client, template);
+});
+
+bot.action('template_new', async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_templates')) return;
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('template_input', {});
+});
+
+bot.action(/^template_edit_([0-9a-f]{24})$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_templates')) return;
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('template_input', { templateId: ctx.match[1] });
+});
+
+bot.action(/^template_delete_([0-9a-f]{24})$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'manage_templates')) return;
+  const client = await getClient(accountId(ctx));
+  const template = findTemplate(client, ctx.match[1]);
+  if (!template) return ctx.answerCbQuery('❌ Template not found', { show_alert: true });
+  
+  await Client.updateOne(
+    { telegramId: accountId(ctx) },
+    { $pull: { templates: { _id: template._id } } }
+  );
+  await recordAudit(ctx, 'template.delete', { resourceId: template.name });
+  await ctx.answerCbQuery('🗑️ Template deleted');
+  await showTemplates(ctx, await getClient(accountId(ctx)));
+});
+
+// Template Input Wizard
+// New templates ask for a name first; edits go straight to the text
+const templateWizard = new Scenes.WizardScene(
+  'template_input',
+  
+  async (ctx) => {
+    const client = await getClient(accountId(ctx));
+    const template = findTemplate(client, ctx.wizard.state.templateId);
+    
+    await ctx.editMessageText(
+      template
+        ? `✏️ Send the new text for "${template.name}":\n\n${templateHelp}`
+        : '➕ New Template\n\nSend a name for the template:',
+      Markup.inlineKeyboard([[wizardCancelButton]])
+    );
+    return ctx.wizard.next();
+  },
+  
+  async (ctx) => {
+    const text = ctx.message?.text?.trim();
+    if (!text || text.startsWith('/') || mainMenuLabels.includes(text)) {
+      return wizardHint(ctx, '✏️ Please send it as a text message, or tap ❌ Cancel.');
+    }
+    
+    const state = ctx.wizard.state;
+    const client = await getClient(accountId(ctx));
+    if (!client) {
+      await ctx.reply(t(ctx, 'token_required'));
+      return ctx.scene.leave();
+    }
+    
+    if (!state.templateId && !state.name) {
+      if (text.length > 40) {
+        return ctx.reply('❌ The name is too long (max 40 characters). Try again:');
+      }
+      if (client.templates.some(template => template.name === text)) {
+        return ctx.reply('❌ A template with this name already exists. Try another name:');
+      }
+      if (client.templates.length >= MAX_TEMPLATES) {
+        await ctx.reply(`❌ You can have at most ${MAX_TEMPLATES} templates. Delete one first.`);
+        return ctx.scene.leave();
+      }
+      
+      state.name = text;
+      return ctx.reply(
+        `✉️ Now send the message text for "${text}":\n\n${templateHelp}\n\n📝 Example:\nHi {{first_name}}, loved your {{platform}} content!`
+      );
+    }
+    
+    if (text.length > TEMPLATE_BODY_MAX) {
+      return ctx.reply(`❌ The text is too long (max ${TEMPLATE_BODY_MAX} characters). Try again:`);
+    }
+    const unknown = unknownPlaceholders(text);
+    if (unknown.length) {
+      return ctx.reply(`❌ Unknown placeholders: ${unknown.map(field => `{{${field}}}`).join(', ')}\n\n${templateHelp}\n\nTry again:`);
+    }
+    
+    let template = findTemplate(client, state.templateId);
+    if (state.templateId && !template) {
+      await ctx.reply('❌ This template no longer exists.');
+      return ctx.scene.leave();
+    }
+    
+    if (template) {
+      template.body = text;
+      template.updatedAt = new Date();
+    } else {
+      client.templates.push({ name: state.name, body: text });
+      template = client.templates[client.templates.length - 1];
+    }
+    await client.save();
+    await recordAudit(ctx, state.templateId ? 'template.update' : 'template.create', { resourceId: template.name });
+    
+    await ctx.scene.leave();
+    await ctx.reply(`✅ Template "${template.name}" saved!`);
+    return showTemplate(ctx, client, template);
+  }
+);
+
+handleWizardCancel(templateWizard, 'Template editing cancelled.');
+stage.register(templateWizard);
+
+// Render for one lead, from the lead card
+const templatePicker = async (ctx, client, text, callbackPrefix, backButton) => {
+  if (client.templates.length === 0) {
+    return ctx.editMessageText(
+      '📭 No templates yet. Create one with /templates.',
+      Markup.inlineKeyboard([[Markup.button.callback('✉️ Templates', 'templates')], [backButton]])
+    );
+  }
+  
+  const buttons = client.templates.map(template => [
+    Markup.button.callback(`✉️ ${template.name}`, `${callbackPrefix}${template._id}`)
+  ]);
+  buttons.push([backButton]);
+  await ctx.editMessageText(text, Markup.inlineKeyboard(buttons));
+};
+
+bot.action(/^lead_msg_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  const leadId = ctx.match[1];
+  await templatePicker(
+    ctx,
+    client,
+    '✉️ Choose a template for this lead:',
+    `lead_msg_${leadId}_`,
+    Markup.button.callback('🔙 Back to Lead', `lead_${leadId}`)
+  );
+});
+
+bot.action(/^lead_msg_(\d+)_([0-9a-f]{24})$/, async (ctx) => {
+  const client = await getClient(accountId(ctx));
+  const template = findTemplate(client, ctx.match[2]);
+  if (!template) return ctx.answerCbQuery('❌ Template not found', { show_alert: true });
+  await ctx.answerCbQuery('✉️ Rendering...');
+  
+  const leadId = ctx.match[1];
+  try {
+    const { data: lead } = await makeApiRequest(client, `/leads/${leadId}`);
+    const { text, missing } = renderTemplate(template.body, lead);
+    const emails = parseEmails(lead.emails);
+    
+    let header = `✉️ ${template.name} → @${lead.username}\n`;
+    if (missing.length) header += `⚠️ Fallbacks used for: ${missing.join(', ')}\n`;
+    if (emails.length && !PUBLIC_URL) header += `📧 ${emails.join(', ')}\n`;
+    
+    await ctx.editMessageText(
+      `${header}\n👀 Preview:\n\n${text}`,
+      Markup.inlineKeyboard([
+        ...mailtoButtons(emails, text),
+        [Markup.button.callback('📋 Send Ready to Copy', `lead_msgcopy_${leadId}_${template._id}`)],
+        [Markup.button.callback('🔙 Back to Lead', `lead_${leadId}`)]
+      ])
+    );
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to render template'));
+  }
+});
+
+// Just the message, so it can be copied or forwarded as is
+bot.action(/^lead_msgcopy_(\d+)_([0-9a-f]{24})$/, async (ctx) => {
+  const client = await getClient(accountId(ctx));
+  const template = findTemplate(client, ctx.match[2]);
+  if (!template) return ctx.answerCbQuery('❌ Template not found', { show_alert: true });
+  await ctx.answerCbQuery();
+  
+  try {
+    const { data: lead } = await makeApiRequest(client, `/leads/${ctx.match[1]}`);
+    await ctx.reply(renderTemplate(template.body, lead).text);
+  } catch (error) {
+    await ctx.reply(apiErrorMessage(error, 'Failed to render template'));
+  }
+});
+
+// Render for every lead on a list page, as one text document
+bot.action(new RegExp(`^msgs_leads_${LEAD_LIST_TYPE}_(\\d+)$`), async (ctx) => {
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  const [, type, page] = ctx.match;
+  ctx.session.templateList = { type, page: Number(page) };
+  await templatePicker(
+    ctx,
+    client,
+    `✉️ Render a template for every lead on page ${page}:`,
+    'msgs_render_',
+    Markup.button.callback('🔙 Back to List', `leads_${type}_page_${page}`)
+  );
+});
+
+bot.action(/^msgs_render_([0-9a-f]{24})$/, async (ctx) => {
+  const client = await getClient(accountId(ctx));
+  const template = findTemplate(client, ctx.match[1]);
+  const list = ctx.session?.templateList;
+  if (!template || !list) return ctx.answerCbQuery('❌ Open the lead list again.', { show_alert: true });
+  await ctx.answerCbQuery('✉️ Rendering...');
+  
+  const filter = resolveLeadFilter(ctx, client, list.type);
+  if (!filter) return ctx.editMessageText('❌ This saved filter no longer exists.');
+  
+  try {
+    const data = await makeApiRequest(
+      client,
+      `/leads?${buildLeadsQuery(filter)}page=${list.page}&per_page=${client.pageSize}`
+    );
+    if (data.data.length === 0) return ctx.editMessageText('📭 No leads on this page.');
+    
+    let withFallbacks = 0;
+    const blocks = data.data.map(lead => {
+      const { text, missing } = renderTemplate(template.body, lead);
+      if (missing.length) withFallbacks++;
+      const emails = parseEmails(lead.emails);
+      return (
+        `==== @${lead.username}${lead.full_name ? ` (${lead.full_name})` : ''} · ${lead.platform}\n` +
+        (emails.length ? `Email: ${emails.join(', ')}\n` : '') +
+        (missing.length ? `Fallbacks used for: ${missing.join(', ')}\n` : '') +
+        `\n${text}\n`
+      );
+    });
+    
+    const title = leadListTitle(client, list.type).replace(/^\S+\s/, '');
+    const content =
+      `Template: ${template.name}\n` +
+      `List: ${title}, page ${list.page}/${data.pagination.pages}\n\n` +
+      blocks.join('\n');
+    const fileName = template.name.replace(/[^\w-]+/g, '-').toLowerCase() || 'template';
+    
+    await ctx.replyWithDocument(
+      { source: Buffer.from(content), filename: `messages-${fileName}-page-${list.page}.txt` },
+      {
+        caption: `✉️ ${data.data.length} messages from "${template.name}"` +
+          (withFallbacks ? `\n⚠️ ${withFallbacks} used fallbacks for missing fields` : '')
+      }
+    );
+    await ctx.editMessageText(
+      `✅ Rendered ${data.data.length} messages.`,
+      Markup.inlineKeyboard([[Markup.button.callback('🔙 Back to List', `leads_${list.type}_page_${list.page}`)]])
+    );
+  } catch (error) {
+    await ctx.editMessageText(apiErrorMessage(error, 'Failed to render messages'));
+  }
+});
+
+// Inline Lead Lookup
+const INLINE_PAGE_SIZE = 20;
+const INLINE_CACHE_TTL = 60 * 1000;
+const inlineCache = new Map();
+
+const getInlineCache = (key) => {
+  const entry = inlineCache.get(key);
+  if (!entry) return null;
+  if (entry.expires < Date.now()) {
+    inlineCache.delete(key);
+    return null;
+  }
+  return entry.value;
+};
+
+const setInlineCache = (key, value) => {
+  // Drop expired entries now and then so the map doesn't grow unbounded
+  if (inlineCache.size > 500) {
+    const now = Date.now();
+    inlineCache.forEach((entry, cacheKey) => {
+      if (entry.expires < now) inlineCache.delete(cacheKey);
+    });
+  }
+  inlineCache.set(key, { value, expires: Date.now() + INLINE_CACHE_TTL });
+};
+
+bot.on('inline_query', async (ctx) => {
+  const client = await getClient(ctx.from.id);
+  
+  if (!client) {
+    return ctx.answerInlineQuery([], {
+      cache_time: 0,
+      is_personal: true,
+      button: { text: '🔑 Connect your account', start_parameter: 'connect' }
+    });
+  }
+  
+  const search = ctx.inlineQuery.query.trim().replace(/^@/, '').slice(0, 100);
+  const page = Number(ctx.inlineQuery.offset) || 1;
+  const cacheKey = `${client.telegramId}:${client.profile.name}:${search}:${page}`;
+  
+  try {
+    let answer = getInlineCache(cacheKey);
+    
+    if (!answer) {
+      const data = await makeApiRequest(
+        client,
+        `/leads?${buildLeadsQuery({ search })}page=${page}&per_page=${INLINE_PAGE_SIZE}`
+      );
+      
+      answer = {
+        results: data.data.map(lead => ({
+          type: 'article',
+          id: String(lead.id),
+          title: `@${lead.username}`,
+          description: `${lead.full_name || 'N/A'} • ${formatNumber(lead.followers)} followers • ${lead.platform}`,
+          input_message_content: { message_text: formatLeadCard(lead) }
+        })),
+        nextOffset: page < data.pagination.pages ? String(page + 1) : ''
+      };
+      setInlineCache(cacheKey, answer);
+    }
+    
+    await ctx.answerInlineQuery(answer.results, {
+      cache_time: 30,
+      is_personal: true,
+      next_offset: answer.nextOffset
+    });
+  } catch (error) {
+    logger.error('Inline query failed', { error });
+    await ctx.answerInlineQuery([], { cache_time: 0, is_personal: true });
+  }
+});
+
+// Chart Rendering
+// Charts are drawn in-process with Chart.js on a native canvas, no external chart service
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
+const CAPTION_MAX_LENGTH = 1024;
+const CHART_COLORS = ['#4e79a7', '#f28e2b', '#59a14f', '#e15759', '#76b7b2'];
+
+// Canvas is transparent by default, which Telegram shows as black
+const whiteBackground = {
+  id: 'whiteBackground',
+  beforeDraw: (chart) => {
+    const { ctx, width, height } = chart;
+    ctx.save();
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+};
+
+const chartPanel = (type, title, labels, datasets, options = {}) => ({
+  type,
+  data: {
+    labels,
+    datasets: datasets.map((dataset, idx) => ({
+      backgroundColor: CHART_COLORS[idx % CHART_COLORS.length],
+      borderColor: CHART_COLORS[idx % CHART_COLORS.length],
+      ...dataset
+    }))
+  },
+  options: {
+    ...options,
+    plugins: { title: { display: true, text: title, font: { size: 18 } } }
+  }
+});
+
+// Render each panel config and stack them into a single PNG
+const renderCharts = (panels) => {
+  const image = createCanvas(CHART_WIDTH, CHART_HEIGHT * panels.length);
+  const context = image.getContext('2d');
+  
+  panels.forEach((config, idx) => {
+    const panel = createCanvas(CHART_WIDTH, CHART_HEIGHT);
+    const chart = new Chart(panel.getContext('2d'), {
+      ...config,
+      options: { ...config.options, responsive: false, animation: false },
+      plugins: [whiteBackground]
+    });
+    context.drawImage(panel, 0, idx * CHART_HEIGHT);
+    chart.destroy();
+  });
+  
+  return image.toBuffer('image/png');
+};
+
+// Captions are capped by Telegram; cut at the last blank line that fits
+const truncateCaption = (text) => {
+  if (text.length <= CAPTION_MAX_LENGTH) return text;
+  const cut = text.slice(0, CAPTION_MAX_LENGTH - 2);
+  const lastBlock = cut.lastIndexOf('\n\n');
+  return `${lastBlock > 0 ? cut.slice(0, lastBlock) : cut}\n…`;
+};
+
+const outputToggleButton = (client, screen) => {
+  return Markup.button.callback(
+    client.chartOutput ? '📝 Text View' : '📊 Chart View',
+    `output_toggle_${screen}`
+  );
+};
+
+// Show a screen either as a chart with the text as caption or as plain text.
+// Photo and text messages can't be edited into each other, so switching kinds
+// replaces the message instead.
+const showOutput = async (ctx, { text, chart, keyboard, replaceMessageId }) => {
+  const messageId = replaceMessageId || ctx.callbackQuery?.message?.message_id;
+  const isPhoto = !replaceMessageId && Boolean(ctx.callbackQuery?.message?.photo);
+  
+  if (chart || isPhoto) {
+    if (messageId) {
+      try {
+        await ctx.telegram.deleteMessage(ctx.chat.id, messageId);
+      } catch (e) {}
+    }
+    
+    return chart
+      ? ctx.replyWithPhoto({ source: chart }, { caption: truncateCaption(text), ...keyboard })
+      : ctx.reply(text, keyboard);
+  }
+  
+  return messageId
+    ? ctx.telegram.editMessageText(ctx.chat.id, messageId, null, text, keyboard)
+    : ctx.reply(text, keyboard);
+};
+
+// Statistics
+const STATS_CHART_DAYS = 30;
+
+const renderStatsMessage = (client, stats) => {
+  return (
+    `📊 Statistics Dashboard\n` +
+    `${profileLine(client)}\n` +
+    `👥 Total Leads: ${formatNumber(stats.total_leads)}\n` +
+    `📊 Total Jobs: ${formatNumber(stats.total_jobs)}\n` +
+    `🎯 Total Targets: ${formatNumber(stats.total_targets)}\n` +
+    `📈 Content Analysis: ${formatNumber(stats.total_content_analysis)}\n\n` +
+    `🔑 API Usage:\n` +
+    `├ Total Requests: ${formatNumber(stats.total_api_requests)}\n` +
+    `├ Today: ${formatNumber(stats.today_api_requests)}\n` +
+    `├ Token Requests: ${formatNumber(stats.token_requests)}\n` +
+    `└ Last Used: ${stats.token_last_used ? formatDate(stats.token_last_used, client.timezone) : 'Never'}`
+  );
+};
+
+// Leads and API requests per day over the last STATS_CHART_DAYS, from stored snapshots
+const renderStatsChart = async (client, stats) => {
+  const snapshots = await StatsSnapshot.find({
+    telegramId: client.telegramId,
+    profileName: client.profile.name,
+    createdAt: { $gte: new Date(Date.now() - STATS_CHART_DAYS * DAY_MS) }
+  }).sort({ createdAt: 1 });
+  
+  // Keep the last value seen on each day, finishing with the live numbers
+  const days = new Map();
+  [...snapshots, { createdAt: new Date(), stats }].forEach(({ createdAt, stats: values }) => {
+    const day = formatDate(createdAt, client.timezone, { month: '2-digit', day: '2-digit' });
+    days.set(day, {
+      leads: Number(values.total_leads) || 0,
+      requests: Number(values.total_api_requests) || 0
+    });
+  });
+  
+  const labels = [...days.keys()];
+  const values = [...days.values()];
+  
+  // Request totals are cumulative, so daily usage is the difference between days
+  const requestLabels = labels.length > 1 ? labels.slice(1) : labels;
+  const requestsPerDay = values.length > 1
+    ? values.slice(1).map((value, idx) => Math.max(value.requests - values[idx].requests, 0))
+    : [Number(stats.today_api_requests) || 0];
+  
+  return renderCharts([
+    chartPanel('line', 'Leads over time', labels, [
+      { label: 'Leads', data: values.map(value => value.leads) }
+    ]),
+    chartPanel('bar', 'API requests per day', requestLabels, [
+      { label: 'Requests', data: requestsPerDay }
+    ])
+  ]);
+};
+
+const showStats = async (ctx, client, replaceMessageId) => {
+  const data = await makeApiRequest(client, '/stats');
+  
+  await showOutput(ctx, {
+    text: renderStatsMessage(client, data.data),
+    chart: client.chartOutput ? await renderStatsChart(client, data.data) : null,
+    keyboard: statsKeyboard(client),
+    replaceMessageId
+  });
+};
+
+const handleStatsRequest = async (ctx) => {
+  await reactToMessage(ctx, '👀');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  const loadingMsg = await ctx.reply('👁️ Fetching statistics...');
+  
+  try {
+    await showStats(ctx, client, loadingMsg.message_id);
+    await reactToMessage(ctx, '✅');
+  } catch (error) {
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      loadingMsg.message_id,
+      null,
+      apiErrorMessage(error, 'Failed to fetch statistics')
+    );
+    await reactToMessage(ctx, '❌');
+  }
+};
+
+bot.hears(menuLabels('menu.stats'), handleStatsRequest);
+bot.command('stats', handleStatsRequest);
+
+// Statistics History
+const STATS_METRICS = [
+  { key: 'total_leads', label: '👥 Leads' },
+  { key: 'total_jobs', label: '📊 Jobs' },
+  { key: 'total_targets', label: '🎯 Targets' },
+  { key: 'total_content_analysis', label: '📈 Content Analysis' },
+  { key: 'total_api_requests', label: '🔑 API Requests' }
+];
+const STATS_SNAPSHOT_INTERVAL = Number(process.env.STATS_SNAPSHOT_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+const STATS_HISTORY_ROWS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const saveStatsSnapshot = async (client, stats, digest = false) => {
+  const values = {};
+  STATS_METRICS.forEach(({ key }) => {
+    values[key] = Number(stats[key]) || 0;
+  });
+  
+  return StatsSnapshot.create({
+    telegramId: client.telegramId,
+    profileName: client.profile.name,
+    stats: values,
+    digest
+  });
+};
+
+// Latest snapshot taken at or before the given date
+const snapshotBefore = (client, date, extra = {}) => {
+  return StatsSnapshot.findOne({
+    telegramId: client.telegramId,
+    profileName: client.profile.name,
+    createdAt: { $lte: date },
+    ...extra
+  }).sort({ createdAt: -1 });
+};
+
+const formatDelta = (current, previous) => {
+  const delta = current - previous;
+  if (delta === 0) return '±0';
+  return delta > 0 ? `+${formatNumber(delta)}` : `−${formatNumber(Math.abs(delta))}`;
+};
+
+const metricDeltaLines = (snapshot, comparisons) => {
+  return STATS_METRICS.map(({ key, label }) => {
+    const value = snapshot.stats[key] || 0;
+    const deltas = comparisons
+      .map(({ label: period, snapshot: previous }) =>
+        `${period} ${previous ? formatDelta(value, previous.stats[key] || 0) : 'n/a'}`
+      )
+      .join(' · ');
+    return `${label}: ${formatNumber(value)}\n   ${deltas}`;
+  });
+};
+
+const trendComparisons = async (client, snapshot) => [
+  { label: '7d', snapshot: await snapshotBefore(client, new Date(snapshot.createdAt - 7 * DAY_MS)) },
+  { label: '30d', snapshot: await snapshotBefore(client, new Date(snapshot.createdAt - 30 * DAY_MS)) }
+];
+
+const statsKeyboard = (client) => Markup.inlineKeyboard([
+  [Markup.button.callback('📅 History', 'stats_history')],
+  [Markup.button.callback('🔄 Refresh', 'stats_refresh'), outputToggleButton(client, 'stats')]
+]);
+
+const renderStatsHistory = async (client) => {
+  const snapshots = await StatsSnapshot.find({
+    telegramId: client.telegramId,
+    profileName: client.profile.name
+  }).sort({ createdAt: -1 }).limit(STATS_HISTORY_ROWS);
+  
+  if (snapshots.length === 0) {
+    return '📭 No history yet.\n\nSnapshots are stored once a day; check back tomorrow.';
+  }
+  
+  const [latest] = snapshots;
+  const comparisons = await trendComparisons(client, latest);
+  
+  const rows = snapshots.map(snapshot =>
+    `${snapshot.digest ? '📬' : '•'} ${formatDate(snapshot.createdAt, client.timezone, { year: 'numeric', month: 'numeric', day: 'numeric' })}: ` +
+    `👥 ${formatNumber(snapshot.stats.total_leads)} · ` +
+    `📊 ${snapshot.stats.total_jobs || 0} · ` +
+    `🎯 ${snapshot.stats.total_targets || 0}`
+  );
+  
+  return (
+    `📅 Statistics History\n` +
+    `${profileLine(client)}\n` +
+    `Latest snapshot (${formatInTimezone(latest.createdAt, client.timezone)}):\n\n` +
+    `${metricDeltaLines(latest, comparisons).join('\n')}\n\n` +
+    `Recent snapshots:\n${rows.join('\n')}`
+  );
+};
+
+bot.action('stats_history', async (ctx) => {
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return showOutput(ctx, { text: t(ctx, 'token_required') });
+  
+  await showOutput(ctx, {
+    text: await renderStatsHistory(client),
+    keyboard: Markup.inlineKeyboard([[Markup.button.callback('🔙 Back to Statistics', 'stats_refresh')]])
+  });
+});
+
+bot.action('stats_refresh', async (ctx) => {
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return showOutput(ctx, { text: t(ctx, 'token_required') });
+  
+  try {
+    await showStats(ctx, client);
+  } catch (error) {
+    await showOutput(ctx, { text: apiErrorMessage(error, 'Failed to fetch statistics') });
+  }
+});
+
+// Store one snapshot per client and profile every STATS_SNAPSHOT_INTERVAL
+let takingSnapshots = false;
+
+const takeStatsSnapshots = async () => {
+  if (takingSnapshots || mongoose.connection.readyState !== 1) return;
+  takingSnapshots = true;
+  
+  try {
+    const clients = await Client.find({}, 'telegramId');
+    for (const { telegramId } of clients) {
+      try {
+        const client = await getClient(telegramId);
+        if (!client) continue;
+        
+        const recent = await snapshotBefore(client, new Date());
+        if (recent && Date.now() - recent.createdAt < STATS_SNAPSHOT_INTERVAL) continue;
+        
+        const data = await makeApiRequest(client, '/stats');
+        await saveStatsSnapshot(client, data.data);
+      } catch (error) {
+        logger.error('Stats snapshot failed', { telegramId, error });
+      }
+    }
+  } catch (error) {
+    logger.error('Stats snapshots failed', { error });
+  } finally {
+    takingSnapshots = false;
+  }
+};
+
+// Statistics Digests
+const DIGEST_POLL_INTERVAL = 60 * 1000;
+const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+const DIGEST_TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Weekly digests go out on Mondays, like the weekly schedule preset
+const nextDigestAt = (digest, timezone) => {
+  const [, hour, minute] = digest.time.match(DIGEST_TIME_PATTERN);
+  const weekday = digest.frequency === 'weekly' ? '1' : '*';
+  return nextCronRun(`${Number(minute)} ${Number(hour)} * * ${weekday}`, timezone);
+};
+
+const describeDigest = (client) => {
+  if (!client.digest.enabled) return '🔕 Off';
+  return `📬 ${client.digest.frequency === 'weekly' ? 'Weekly on Monday' : 'Daily'} at ${client.digest.time} (${client.timezone})`;
+};
+
+bot.command('digest', async (ctx) => {
+  const args = ctx.message.text.split(' ').slice(1);
+  const client = await getClient(accountId(ctx));
+  if (!client) {
+    return ctx.reply('❌ Please set your API token first using /settoken');
+  }
+  
+  const [action, value] = args;
+  const digest = client.digest;
+  
+  if (action && !await checkPermission(ctx, 'configure')) return;
+  
+  if (!action) {
+    return ctx.reply(
+      `📬 Statistics Digest: ${describeDigest(client)}\n` +
+      (digest.enabled ? `⏭️ Next: ${formatInTimezone(digest.nextAt, client.timezone)}\n` : '') +
+      `\nUsage:\n` +
+      `/digest on [daily|weekly] - Subscribe\n` +
+      `/digest off - Unsubscribe\n` +
+      `/digest time HH:MM - Set delivery time`
+    );
+  }
+  
+  if (action === 'on') {
+    const frequency = value || digest.frequency;
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return ctx.reply('❌ Frequency must be daily or weekly.');
+    }
+    
+    digest.enabled = true;
+    digest.frequency = frequency;
+    digest.chatId = ctx.chat.id;
+  } else if (action === 'off') {
+    digest.enabled = false;
+  } else if (action === 'time') {
+    if (!value || !DIGEST_TIME_PATTERN.test(value)) {
+      return ctx.reply('❌ Usage: /digest time HH:MM (24-hour clock)');
+    }
+    
+    const [, hour, minute] = value.match(DIGEST_TIME_PATTERN);
+    digest.time = `${hour.padStart(2, '0')}:${minute}`;
+  } else {
+    return ctx.reply('❌ Usage: /digest on|off|time');
+  }
+  
+  digest.nextAt = digest.enabled ? nextDigestAt(digest, client.timezone) : null;
+  
+  await Client.updateOne(
+    { telegramId: accountId(ctx) },
+    {
+      digest: {
+        enabled: digest.enabled,
+        frequency: digest.frequency,
+        time: digest.time,
+        chatId: digest.chatId,
+        nextAt: digest.nextAt
+      }
+    }
+  );
+  await recordAudit(ctx, 'settings.update', {
+    detail: `digest=${digest.enabled ? `${digest.frequency} ${digest.time}` : 'off'}`
+  });
+  
+  await ctx.reply(
+    `✅ Statistics digest: ${describeDigest(client)}` +
+    (digest.enabled ? `\n⏭️ Next: ${formatInTimezone(digest.nextAt, client.timezone)}` : '')
+  );
+});
+
+const sendDigest = async (client) => {
+  const data = await makeApiRequest(client, '/stats');
+  const previous = await snapshotBefore(client, new Date(), { digest: true });
+  const snapshot = await saveStatsSnapshot(client, data.data, true);
+  
+  const comparisons = [
+    { label: 'since last', snapshot: previous },
+    ...await trendComparisons(client, snapshot)
+  ];
+  
+  await bot.telegram.sendMessage(
+    client.digest.chatId,
+    `📬 ${client.digest.frequency === 'weekly' ? 'Weekly' : 'Daily'} Statistics Digest\n` +
+    `${profileLine(client)}\n` +
+    `${metricDeltaLines(snapshot, comparisons).join('\n')}\n\n` +
+    `🔕 Unsubscribe with /digest off`,
+    statsKeyboard(client)
+  );
+};
+
+let pollingDigests = false;
+
+const pollDigests = async () => {
+  if (pollingDigests || mongoose.connection.readyState !== 1) return;
+  pollingDigests = true;
+  
+  try {
+    const due = await Client.find({ 'digest.enabled': true, 'digest.nextAt': { $lte: new Date() } });
+    for (const dueClient of due) {
+      try {
+        // Move nextAt forward first so a digest is sent once even with several instances
+        const claimed = await Client.findOneAndUpdate(
+          { _id: dueClient._id, 'digest.nextAt': dueClient.digest.nextAt },
+          { 'digest.nextAt': nextDigestAt(dueClient.digest, dueClient.timezone) }
+        );
+        if (!claimed) continue;
+        
+        const client = await getClient(dueClient.telegramId);
+        if (client) await withLanguage(client.language, () => sendDigest(client));
+      } catch (error) {
+        logger.error('Digest failed', { telegramId: dueClient.telegramId, error });
+      }
+    }
+  } catch (error) {
+    logger.error('Digest polling failed', { error });
+  } finally {
+    pollingDigests = false;
+  }
+};
+
+// Content Analysis
+// Long per-post blocks, so pages are capped below the user's list page size
+const CONTENT_PAGE_SIZE_MAX = 10;
+// Posts aggregated for the per-platform view
+const CONTENT_PLATFORM_SAMPLE = 100;
+
+const contentMetrics = (content) => ({
+  likes: Number(content.likes_count) || 0,
+  comments: Number(content.comments_count) || 0,
+  views: Number(content.views_count) || 0,
+  engagement: parseFloat(content.engagement_rate) || 0
+});
+
+// Views are orders of magnitude above comments, so they get their own panel;
+// linear scales, since new posts often have 0 of everything and log(0) has no bar
+const renderContentChart = (labels, rows) => renderCharts([
+  chartPanel('bar', 'Likes and comments', labels, [
+    { label: 'Likes', data: rows.map(row => row.likes) },
+    { label: 'Comments', data: rows.map(row => row.comments) }
+  ], { scales: { y: { beginAtZero: true } } }),
+  chartPanel('bar', 'Views', labels, [
+    { label: 'Views', data: rows.map(row => row.views) }
+  ], { scales: { y: { beginAtZero: true } } }),
+  chartPanel('bar', 'Engagement rate (%)', labels, [
+    { label: 'Engagement', data: rows.map(row => row.engagement) }
+  ])
+]);
+
+const CONTENT_SORTS = {
+  'likes': { label: '❤️ Likes', field: 'likes_count', metric: 'likes' },
+  'comments': { label: '💬 Comments', field: 'comments_count', metric: 'comments' },
+  'views': { label: '👁️ Views', field: 'views_count', metric: 'views' },
+  'engagement': { label: '📊 Engagement', field: 'engagement_rate', metric: 'engagement' }
+};
+const CONTENT_TOP_COUNT = 10;
+// Posts averaged per account in the comparison
+const CONTENT_COMPARE_SAMPLE = 100;
+const RANK_MEDALS = ['🥇', '🥈', '🥉'];
+
+// Sort and filters live in the session and apply to the list, the top view and exports of both
+const currentContentView = (ctx) => ctx.session?.contentView || {};
+
+const setContentView = (ctx, changes) => {
+  ctx.session.contentView = { ...currentContentView(ctx), ...changes };
+};
+
+// Map a view onto /content-analysis query parameters, like buildLeadsQuery
+const buildContentQuery = (view = {}) => {
+  const params = new URLSearchParams();
+  
+  if (view.platform) params.set('platform', view.platform);
+  if (view.username) params.set('username', view.username);
+  if (view.sort && CONTENT_SORTS[view.sort]) {
+    params.set('sort', CONTENT_SORTS[view.sort].field);
+    params.set('order', 'desc');
+  }
+  
+  const query = params.toString();
+  return query ? `${query}&` : '';
+};
+
+const describeContentView = (view = {}) => {
+  const parts = [];
+  if (view.sort && CONTENT_SORTS[view.sort]) parts.push(`↕️ ${CONTENT_SORTS[view.sort].label}`);
+  if (view.platform) parts.push(`📱 ${view.platform}`);
+  if (view.username) parts.push(`👤 @${view.username}`);
+  return parts.join(', ');
+};
+
+// Number buttons opening each post on the page, five per row
+const contentPostButtons = (posts, offset) => {
+  const buttons = posts.map((content, idx) => Markup.button.callback(`${offset + idx + 1}`, `content_post_${content.id}`));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 5) {
+    rows.push(buttons.slice(i, i + 5));
+  }
+  return rows;
+};
+
+const renderContentAnalysisPage = async (client, page, view = {}) => {
+  const perPage = Math.min(client.pageSize, CONTENT_PAGE_SIZE_MAX);
+  const data = await makeApiRequest(client, `/content-analysis?${buildContentQuery(view)}page=${page}&per_page=${perPage}`);
+  const filtered = Boolean(view.platform || view.username);
+  
+  if (data.data.length === 0) {
+    return {
+      empty: true,
+      message: '📭 No content analysis data found.',
+      keyboard: filtered ? Markup.inlineKeyboard([[Markup.button.callback('🧹 Clear Filters', 'content_clear')]]) : undefined
+    };
+  }
+  
+  const { pages } = data.pagination;
+  const summary = describeContentView(view);
+  let message = `📈 Content Analysis (Page ${page}/${pages})\n${profileLine(client)}` +
+    (summary ? `${summary}\n` : '') + '\n';
+  
+  data.data.forEach((content, idx) => {
+    message += 
+      `${(page - 1) * perPage + idx + 1}. 📱 ${content.platform} - @${content.username}\n` +
+      `   ❤️ Likes: ${formatNumber(content.likes_count)}\n` +
+      `   💬 Comments: ${content.comments_count || 0}\n` +
+      `   👁️ Views: ${formatNumber(content.views_count)}\n` +
+      `   📊 Engagement: ${content.engagement_rate || 'N/A'}\n\n`;
+  });
+  
+  const chart = client.chartOutput
+    ? renderContentChart(
+      data.data.map((content, idx) => `${(page - 1) * perPage + idx + 1}. @${content.username}`),
+      data.data.map(contentMetrics)
+    )
+    : null;
+  
+  const rows = [
+    ...contentPostButtons(data.data, (page - 1) * perPage),
+    ...paginationButtons('content_page_', page, pages),
+    [
+      Markup.button.callback('↕️ Sort', 'content_sort'),
+      Markup.button.callback('📱 Platform', 'content_platform'),
+      Markup.button.callback('👤 Account', 'content_username')
+    ],
+    [
+      Markup.button.callback('🏆 Top Performers', `content_top_${view.sort || 'engagement'}`),
+      Markup.button.callback('⚖️ Compare', 'content_compare')
+    ],
+    [
+      Markup.button.callback('🌐 By Platform', 'content_platforms'),
+      outputToggleButton(client, `content_${page}`)
+    ]
+  ];
+  if (filtered || view.sort) rows.push([Markup.button.callback('🧹 Clear Filters', 'content_clear')]);
+  
+  return { message, chart, keyboard: Markup.inlineKeyboard(rows) };
+};
 
-// Set Token Command
-bot.command('settoken', async (ctx) => {
-  await reactToMessage(ctx, '🔑');
-  const args = ctx.message.text.split(' ').slice(1);
+const renderContentPlatforms = async (client) => {
+  const data = await makeApiRequest(client, `/content-analysis?page=1&per_page=${CONTENT_PLATFORM_SAMPLE}`);
   
-  if (args.length === 0) {
-    return ctx.reply('❌ Please provide your API token:\n/settoken YOUR_TOKEN');
+  if (data.data.length === 0) {
+    return { empty: true, message: '📭 No content analysis data found.' };
   }
   
-  const token = args[0];
-  const loadingMsg = await ctx.reply('👁️ Verifying token...');
+  const platforms = new Map();
+  data.data.forEach((content) => {
+    const totals = platforms.get(content.platform) || { posts: 0, likes: 0, comments: 0, views: 0, engagement: 0 };
+    const metrics = contentMetrics(content);
+    totals.posts += 1;
+    totals.likes += metrics.likes;
+    totals.comments += metrics.comments;
+    totals.views += metrics.views;
+    totals.engagement += metrics.engagement;
+    platforms.set(content.platform, totals);
+  });
+  
+  const rows = [...platforms.values()].map(totals => ({
+    ...totals,
+    engagement: Number((totals.engagement / totals.posts).toFixed(2))
+  }));
+  
+  let message =
+    `🌐 Content by Platform\n${profileLine(client)}` +
+    `Based on the latest ${data.data.length} analysed posts\n\n`;
+  
+  [...platforms.keys()].forEach((platform, idx) => {
+    const row = rows[idx];
+    message +=
+      `📱 ${platform} (${row.posts} posts)\n` +
+      `   ❤️ Likes: ${formatNumber(row.likes)}\n` +
+      `   💬 Comments: ${formatNumber(row.comments)}\n` +
+      `   👁️ Views: ${formatNumber(row.views)}\n` +
+      `   📊 Avg Engagement: ${row.engagement}%\n\n`;
+  });
+  
+  return {
+    message,
+    chart: client.chartOutput ? renderContentChart([...platforms.keys()], rows) : null,
+    keyboard: Markup.inlineKeyboard([
+      [
+        Markup.button.callback('📄 By Post', 'content_page_1'),
+        outputToggleButton(client, 'platforms')
+      ]
+    ])
+  };
+};
+
+bot.hears(menuLabels('menu.content'), async (ctx) => {
+  await reactToMessage(ctx, '👀');
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
+  
+  const loadingMsg = await ctx.reply(t(ctx, 'content.loading'));
   
   try {
-    // Test the token
-    const testConfig = {
-      method: 'GET',
-      url: `${process.env.API_BASE_URL || 'http://localhost:5000/api/v1'}/stats`,
-      headers: { 'Authorization': `Bearer ${token}` }
-    };
-    
-    await axios(testConfig);
+    const { empty, message, chart, keyboard } = await renderContentAnalysisPage(client, 1, currentContentView(ctx));
+    rememberListPage(ctx, 'content', 'content_page_1');
     
-    // Save or update client
-    await Client.findOneAndUpdate(
-      { telegramId: ctx.from.id.toString() },
-      {
-        telegramId: ctx.from.id.toString(),
-        apiToken: token,
-        baseUrl: process.env.API_BASE_URL || 'http://localhost:5000/api/v1',
-        lastUsed: new Date()
-      },
-      { upsert: true, new: true }
-    );
+    if (empty) {
+      await reactToMessage(ctx, '🤷');
+      return ctx.telegram.editMessageText(
+        ctx.chat.id,
+        loadingMsg.message_id,
+        null,
+        message,
+        keyboard
+      );
+    }
     
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      loadingMsg.message_id,
-      null,
-      '✅ Token verified and saved successfully!\n\nUse /start to access the menu.'
-    );
+    await showOutput(ctx, { text: message, chart, keyboard, replaceMessageId: loadingMsg.message_id });
     await reactToMessage(ctx, '✅');
   } catch (error) {
     await ctx.telegram.editMessageText(
       ctx.chat.id,
       loadingMsg.message_id,
       null,
-      '❌ Invalid token or API is unreachable.\n\nPlease check your token and try again.'
+      apiErrorMessage(error, 'Failed to fetch content analysis')
     );
     await reactToMessage(ctx, '❌');
   }
 });
 
-// Set Base URL Command
-bot.command('seturl', async (ctx) => {
-  const args = ctx.message.text.split(' ').slice(1);
+bot.action(/^content_page_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading content analysis...');
+  const client = await getClient(accountId(ctx));
+  if (!client) return showOutput(ctx, { text: t(ctx, 'token_required') });
   
-  if (args.length === 0) {
-    return ctx.reply('❌ Please provide the base URL:\n/seturl https://your-domain.com/api/v1');
+  try {
+    const page = Number(ctx.match[1]);
+    const { message, chart, keyboard } = await renderContentAnalysisPage(client, page, currentContentView(ctx));
+    rememberListPage(ctx, 'content', `content_page_${page}`);
+    await showOutput(ctx, { text: message, chart, keyboard });
+  } catch (error) {
+    await showOutput(ctx, { text: apiErrorMessage(error, 'Failed to fetch content analysis') });
   }
+});
+
+bot.action('content_platforms', async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading content analysis...');
+  const client = await getClient(accountId(ctx));
+  if (!client) return showOutput(ctx, { text: t(ctx, 'token_required') });
   
-  const client = await getClient(ctx.from.id);
-  if (!client) {
-    return ctx.reply('❌ Please set your API token first using /settoken');
+  try {
+    const { message, chart, keyboard } = await renderContentPlatforms(client);
+    await showOutput(ctx, { text: message, chart, keyboard });
+  } catch (error) {
+    await showOutput(ctx, { text: apiErrorMessage(error, 'Failed to fetch content analysis') });
   }
+});
+
+// Reload the list after a sort or filter change, from its first page
+const showContentPage = async (ctx, page) => {
+  const client = await getClient(accountId(ctx));
+  if (!client) return showOutput(ctx, { text: t(ctx, 'token_required') });
   
-  await Client.updateOne(
-    { telegramId: ctx.from.id.toString() },
-    { baseUrl: args[0] }
-  );
+  try {
+    const { message, chart, keyboard } = await renderContentAnalysisPage(client, page, currentContentView(ctx));
+    rememberListPage(ctx, 'content', `content_page_${page}`);
+    await showOutput(ctx, { text: message, chart, keyboard });
+  } catch (error) {
+    await showOutput(ctx, { text: apiErrorMessage(error, 'Failed to fetch content analysis') });
+  }
+};
+
+bot.command('content', async (ctx) => {
+  const page = parsePageArg(ctx.message.text.split(' ')[1]);
+  if (!page) return ctx.reply('❌ Usage: /content [page]\n\n📝 Example:\n/content 2');
   
-  await ctx.reply('✅ Base URL updated successfully!');
+  await showContentPage(ctx, page);
 });
 
-// Jobs Handler
-bot.hears('📊 Jobs', async (ctx) => {
-  await reactToMessage(ctx, '👀');
-  const client = await getClient(ctx.from.id);
-  if (!client) return ctx.reply('❌ Please set your token first: /settoken');
+bot.action('content_sort', async (ctx) => {
+  await ctx.answerCbQuery();
+  const current = currentContentView(ctx).sort;
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📋 List All Jobs', 'jobs_list')],
-    [Markup.button.callback('➕ Create New Job', 'jobs_create')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_menu')]
+  const buttons = Object.entries(CONTENT_SORTS).map(([key, sort]) => [
+    Markup.button.callback(key === current ? `✔️ ${sort.label}` : sort.label, `content_sort_${key}`)
   ]);
+  buttons.push([Markup.button.callback(current ? '🆕 Newest First' : '✔️ 🆕 Newest First', 'content_sort_newest')]);
   
-  await ctx.reply('📊 Job Management\n\nChoose an action:', keyboard);
+  await showOutput(ctx, { text: '↕️ Sort posts by (highest first):', keyboard: Markup.inlineKeyboard(buttons) });
 });
 
-// List Jobs
-bot.action('jobs_list', async (ctx) => {
-  await ctx.answerCbQuery('👁️ Loading jobs...');
-  const client = await getClient(ctx.from.id);
+bot.action(/^content_sort_(\w+)$/, async (ctx) => {
+  const key = ctx.match[1];
+  if (key !== 'newest' && !CONTENT_SORTS[key]) return ctx.answerCbQuery('❓ Unknown sort');
   
-  try {
-    const data = await makeApiRequest(client, '/jobs?page=1&per_page=10');
+  setContentView(ctx, { sort: key === 'newest' ? undefined : key });
+  await ctx.answerCbQuery();
+  await showContentPage(ctx, 1);
+});
+
+bot.action('content_platform', async (ctx) => {
+  await ctx.answerCbQuery();
+  const buttons = Object.entries(TARGET_PLATFORMS).map(([platform, label]) => [
+    Markup.button.callback(label, `content_platform_${platform}`)
+  ]);
+  buttons.push([Markup.button.callback('🌐 Any Platform', 'content_platform_any')]);
+  
+  await showOutput(ctx, { text: '📱 Only show posts from:', keyboard: Markup.inlineKeyboard(buttons) });
+});
+
+bot.action(/^content_platform_(\w+)$/, async (ctx) => {
+  const platform = ctx.match[1];
+  if (platform !== 'any' && !TARGET_PLATFORMS[platform]) return ctx.answerCbQuery('❓ Unknown platform');
+  
+  setContentView(ctx, { platform: platform === 'any' ? undefined : platform });
+  await ctx.answerCbQuery();
+  await showContentPage(ctx, 1);
+});
+
+bot.action('content_clear', async (ctx) => {
+  ctx.session.contentView = {};
+  await ctx.answerCbQuery('🧹 Filters cleared');
+  await showContentPage(ctx, 1);
+});
+
+// Content Input Wizard (account filter or the accounts to compare)
+const contentInputWizard = new Scenes.WizardScene(
+  'content_input',
+  
+  async (ctx) => {
+    const text = ctx.wizard.state.mode === 'compare'
+      ? '⚖️ Send the two accounts to compare:\n\n📝 Example:\n@alice @bob'
+      : '👤 Send the account to show posts from:\n\n📝 Example:\n@alice';
     
-    if (data.data.length === 0) {
-      return ctx.editMessageText('📭 No jobs found.\n\nCreate your first job!');
+    // The list may be a chart, which can't be edited into a text prompt
+    await showOutput(ctx, { text, keyboard: Markup.inlineKeyboard([[wizardCancelButton]]) });
+    return ctx.wizard.next();
+  },
+  
+  async (ctx) => {
+    const text = ctx.message?.text?.trim();
+    if (!text || text.startsWith('/') || mainMenuLabels.includes(text)) {
+      return wizardHint(ctx, '✏️ Please send the account as a text message, or tap ❌ Cancel.');
     }
     
-    const buttons = data.data.map(job => {
-      const statusEmoji = {
-        'queued': '⏳',
-        'running': '🏃',
-        'finished': '✅',
-        'failed': '❌'
-      }[job.status] || '❓';
-      
-      return [Markup.button.callback(
-        `${statusEmoji} ${job.name}`,
-        `job_${job.id}`
-      )];
-    });
-    
-    buttons.push([Markup.button.callback('🔙 Back', 'back_jobs')]);
+    const usernames = text.split(/[\s,]+/).map(name => name.replace(/^@/, '')).filter(Boolean);
+    if (usernames.some(name => !HANDLE_PATTERN.test(name))) {
+      return ctx.reply('❌ That doesn\'t look like a username. Try again:');
+    }
     
-    const totalPages = data.pagination.pages;
-    const currentPage = data.pagination.page;
+    if (ctx.wizard.state.mode === 'compare') {
+      if (usernames.length !== 2 || usernames[0].toLowerCase() === usernames[1].toLowerCase()) {
+        return ctx.reply('❌ Send exactly two different usernames. Try again:');
+      }
+      await ctx.scene.leave();
+      return showContentComparison(ctx, usernames);
+    }
     
-    await ctx.editMessageText(
-      `📊 Jobs List (Page ${currentPage}/${totalPages})\n` +
-      `📦 Total: ${data.pagination.total}\n\n` +
-      `Select a job to view details:`,
-      Markup.inlineKeyboard(buttons)
-    );
-  } catch (error) {
-    await ctx.editMessageText(`❌ Error: ${error.error || 'Failed to fetch jobs'}`);
+    if (usernames.length !== 1) {
+      return ctx.reply('❌ Send a single username. Try again:');
+    }
+    setContentView(ctx, { username: usernames[0] });
+    await ctx.scene.leave();
+    return showContentPage(ctx, 1);
   }
+);
+
+handleWizardCancel(contentInputWizard, 'Cancelled.');
+stage.register(contentInputWizard);
+
+bot.action('content_username', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('content_input', { mode: 'username' });
 });
 
-// Job Details
-bot.action(/job_(\d+)/, async (ctx) => {
-  await ctx.answerCbQuery('👁️ Loading job details...');
-  const client = await getClient(ctx.from.id);
-  const jobId = ctx.match[1];
-  
-  try {
-    const data = await makeApiRequest(client, `/jobs/${jobId}`);
-    const job = data.data;
-    
-    const statusEmoji = {
-      'queued': '⏳',
-      'running': '🏃',
-      'finished': '✅',
-      'failed': '❌'
-    }[job.status] || '❓';
-    
-    const message = 
-      `📊 Job Details\n\n` +
-      `🆔 ID: ${job.id}\n` +
-      `📝 Name: ${job.name}\n` +
-      `${statusEmoji} Status: ${job.status}\n` +
-      `🔧 Type: ${job.job_type}\n` +
-      `👥 Users Stored: ${job.users_stored || 0}\n` +
-      `📅 Created: ${new Date(job.created_at).toLocaleString()}`;
-    
-    const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('▶️ Run Job', `run_job_${jobId}`)],
-      [Markup.button.callback('🗑️ Delete', `delete_job_${jobId}`)],
-      [Markup.button.callback('🔙 Back to List', 'jobs_list')]
-    ]);
-    
-    await ctx.editMessageText(message, keyboard);
-  } catch (error) {
-    await ctx.editMessageText(`❌ Error: ${error.error || 'Failed to fetch job'}`);
-  }
+bot.action('content_compare', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.scene.enter('content_input', { mode: 'compare' });
 });
 
-// Run Job
-bot.action(/run_job_(\d+)/, async (ctx) => {
-  await ctx.answerCbQuery('👁️ Starting job...');
-  const client = await getClient(ctx.from.id);
-  const jobId = ctx.match[1];
+// Post Details
+// Authors are matched to leads by exact username, preferring the same platform
+const findLeadForAuthor = async (client, content) => {
+  const matches = await findLeadsByUsername(client, content.username);
+  return matches.find(lead => lead.platform === content.platform) || matches[0] || null;
+};
+
+bot.action(/^content_post_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery('👁️ Loading post...');
+  const client = await getClient(accountId(ctx));
+  if (!client) return showOutput(ctx, { text: t(ctx, 'token_required') });
   
   try {
-    await makeApiRequest(client, `/jobs/${jobId}/run`, 'POST');
-    await ctx.answerCbQuery('✅ Job started!', { show_alert: true });
+    const { data: content } = await makeApiRequest(client, `/content-analysis/${ctx.match[1]}`);
+    const metrics = contentMetrics(content);
+    // A failed lookup only hides the button
+    const lead = await findLeadForAuthor(client, content).catch(() => null);
+    const url = content.post_url || content.url;
+    const postedAt = content.posted_at || content.created_at;
     
-    // React to the original message
-    try {
-      await ctx.telegram.setMessageReaction(ctx.chat.id, ctx.callbackQuery.message.message_id, '🚀');
-    } catch (e) {}
+    const message =
+      `📝 Post Details\n\n` +
+      `👤 Author: @${content.username}\n` +
+      `📱 Platform: ${content.platform}\n` +
+      (postedAt ? `📅 Posted: ${formatDate(postedAt, client.timezone)}\n` : '') +
+      (url ? `🔗 ${url}\n` : '') +
+      (content.caption ? `\n💬 ${content.caption.slice(0, 500)}\n` : '') +
+      `\n❤️ Likes: ${formatNumber(metrics.likes)}\n` +
+      `💬 Comments: ${formatNumber(metrics.comments)}\n` +
+      `👁️ Views: ${formatNumber(metrics.views)}\n` +
+      `📊 Engagement: ${content.engagement_rate || 'N/A'}`;
     
-    ctx.scene.reenter();
+    const rows = [];
+    if (lead) rows.push([Markup.button.callback(`👤 Lead: @${lead.username}`, `lead_${lead.id}`)]);
+    rows.push([Markup.button.callback(`📈 More from @${content.username}`, `content_author_${content.id}`)]);
+    rows.push([Markup.button.callback('🔙 Back to List', lastListPage(ctx, 'content', 'content_page_1'))]);
+    
+    await showOutput(ctx, { text: message, keyboard: Markup.inlineKeyboard(rows) });
   } catch (error) {
-    await ctx.answerCbQuery(`❌ ${error.error}`, { show_alert: true });
+    await showOutput(ctx, { text: apiErrorMessage(error, 'Failed to fetch post') });
   }
 });
 
-// Delete Job
-bot.action(/delete_job_(\d+)/, async (ctx) => {
-  const keyboard = Markup.inlineKeyboard([
-    [
-      Markup.button.callback('✅ Yes, Delete', `confirm_delete_job_${ctx.match[1]}`),
-      Markup.button.callback('❌ Cancel', 'jobs_list')
-    ]
-  ]);
-  
-  await ctx.editMessageText(
-    '⚠️ Are you sure you want to delete this job?\n\nThis action cannot be undone.',
-    keyboard
-  );
-});
-
-bot.action(/confirm_delete_job_(\d+)/, async (ctx) => {
-  await ctx.answerCbQuery('👁️ Deleting job...');
-  const client = await getClient(ctx.from.id);
-  const jobId = ctx.match[1];
+bot.action(/^content_author_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return showOutput(ctx, { text: t(ctx, 'token_required') });
   
   try {
-    await makeApiRequest(client, `/jobs/${jobId}`, 'DELETE');
-    await ctx.answerCbQuery('✅ Job deleted!', { show_alert: true });
-    
-    // React to the message
-    try {
-      await ctx.telegram.setMessageReaction(ctx.chat.id, ctx.callbackQuery.message.message_id, '🗑');
-    } catch (e) {}
-    
-    await ctx.editMessageText('✅ Job deleted successfully!');
-    setTimeout(() => ctx.reply('Choose an option:', mainMenu), 1000);
+    const { data: content } = await makeApiRequest(client, `/content-analysis/${ctx.match[1]}`);
+    setContentView(ctx, { username: content.username, platform: undefined });
+    await showContentPage(ctx, 1);
   } catch (error) {
-    await ctx.answerCbQuery(`❌ ${error.error}`, { show_alert: true });
+    await showOutput(ctx, { text: apiErrorMessage(error, 'Failed to fetch post') });
   }
 });
 
-// Targets Handler
-bot.hears('🎯 Targets', async (ctx) => {
-  await reactToMessage(ctx, '👀');
-  const client = await getClient(ctx.from.id);
-  if (!client) return ctx.reply('❌ Please set your token first: /settoken');
+// Top Performers
+bot.action(/^content_top_(\w+)$/, async (ctx) => {
+  const sort = CONTENT_SORTS[ctx.match[1]];
+  if (!sort) return ctx.answerCbQuery('❓ Unknown ranking');
+  await ctx.answerCbQuery('👁️ Loading top posts...');
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📋 List Targets', 'targets_list')],
-    [Markup.button.callback('➕ Create Target', 'targets_create')],
-    [Markup.button.callback('🔙 Back', 'back_menu')]
-  ]);
+  const client = await getClient(accountId(ctx));
+  if (!client) return showOutput(ctx, { text: t(ctx, 'token_required') });
   
-  await ctx.reply('🎯 Target Management\n\nChoose an action:', keyboard);
-});
-
-// List Targets
-bot.action('targets_list', async (ctx) => {
-  await ctx.answerCbQuery('👁️ Loading targets...');
-  const client = await getClient(ctx.from.id);
+  const view = { ...currentContentView(ctx), sort: ctx.match[1] };
   
   try {
-    const data = await makeApiRequest(client, '/targets?page=1&per_page=10');
-    
+    const data = await makeApiRequest(client, `/content-analysis?${buildContentQuery(view)}page=1&per_page=${CONTENT_TOP_COUNT}`);
     if (data.data.length === 0) {
-      return ctx.editMessageText('📭 No targets found.');
+      return showOutput(ctx, { text: '📭 No content analysis data found.' });
     }
     
-    const buttons = data.data.map(target => [
-      Markup.button.callback(
-        `🎯 ${target.identifier}`,
-        `target_${target.id}`
-      )
-    ]);
+    rememberListPage(ctx, 'content', `content_top_${ctx.match[1]}`);
     
-    buttons.push([Markup.button.callback('🔙 Back', 'back_targets')]);
+    const filters = describeContentView({ ...view, sort: undefined });
+    let message = `🏆 Top ${data.data.length} by ${sort.label}\n${profileLine(client)}` +
+      (filters ? `${filters}\n` : '') + '\n';
     
-    await ctx.editMessageText(
-      `🎯 Targets (Page ${data.pagination.page}/${data.pagination.pages})\n\n` +
-      `Select a target:`,
-      Markup.inlineKeyboard(buttons)
-    );
+    data.data.forEach((content, idx) => {
+      const value = contentMetrics(content)[sort.metric];
+      message += `${RANK_MEDALS[idx] || `${idx + 1}.`} @${content.username} (${content.platform}): ` +
+        `${sort.metric === 'engagement' ? `${value}%` : formatNumber(value)}\n`;
+    });
+    
+    const chart = client.chartOutput
+      ? renderContentChart(data.data.map((content, idx) => `${idx + 1}. @${content.username}`), data.data.map(contentMetrics))
+      : null;
+    
+    const rankingButtons = Object.entries(CONTENT_SORTS)
+      .filter(([key]) => key !== ctx.match[1])
+      .map(([key, other]) => Markup.button.callback(other.label, `content_top_${key}`));
+    
+    await showOutput(ctx, {
+      text: message,
+      chart,
+      keyboard: Markup.inlineKeyboard([
+        ...contentPostButtons(data.data, 0),
+        rankingButtons,
+        [Markup.button.callback('🔙 Back to List', 'content_page_1')]
+      ])
+    });
   } catch (error) {
-    await ctx.editMessageText(`❌ Error: ${error.error || 'Failed to fetch targets'}`);
+    await showOutput(ctx, { text: apiErrorMessage(error, 'Failed to fetch content analysis') });
   }
 });
 
-// Leads Handler
-bot.hears('👥 Leads', async (ctx) => {
-  await reactToMessage(ctx, '👀');
-  const client = await getClient(ctx.from.id);
-  if (!client) return ctx.reply('❌ Please set your token first: /settoken');
-  
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📋 All Leads', 'leads_all')],
-    [Markup.button.callback('✅ Outreach Ready', 'leads_ready')],
-    [Markup.button.callback('🔙 Back', 'back_menu')]
-  ]);
+// Account Comparison
+const averageContentMetrics = (posts) => {
+  const totals = posts.map(contentMetrics).reduce((sum, metrics) => ({
+    likes: sum.likes + metrics.likes,
+    comments: sum.comments + metrics.comments,
+    views: sum.views + metrics.views,
+    engagement: sum.engagement + metrics.engagement
+  }), { likes: 0, comments: 0, views: 0, engagement: 0 });
   
-  await ctx.reply('👥 Leads Management\n\nChoose an option:', keyboard);
-});
+  return {
+    posts: posts.length,
+    likes: Math.round(totals.likes / posts.length),
+    comments: Math.round(totals.comments / posts.length),
+    views: Math.round(totals.views / posts.length),
+    engagement: Number((totals.engagement / posts.length).toFixed(2))
+  };
+};
 
-// List Leads
-bot.action(/leads_(all|ready)/, async (ctx) => {
-  await ctx.answerCbQuery('👁️ Loading leads...');
-  const client = await getClient(ctx.from.id);
-  const type = ctx.match[1];
-  const query = type === 'ready' ? '?outreach_ready=true&page=1' : '?page=1';
+const showContentComparison = async (ctx, usernames) => {
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.reply(t(ctx, 'token_required'));
   
   try {
-    const data = await makeApiRequest(client, `/leads${query}`);
+    const samples = [];
+    for (const username of usernames) {
+      const data = await makeApiRequest(
+        client,
+        `/content-analysis?username=${encodeURIComponent(username)}&page=1&per_page=${CONTENT_COMPARE_SAMPLE}`
+      );
+      samples.push(data.data);
+    }
     
-    if (data.data.length === 0) {
-      return ctx.editMessageText('📭 No leads found.');
+    const missing = usernames.filter((username, idx) => samples[idx].length === 0);
+    if (missing.length) {
+      return ctx.reply(`📭 No analysed posts for ${missing.map(name => `@${name}`).join(' and ')}.`);
     }
     
-    const buttons = data.data.map(lead => [
-      Markup.button.callback(
-        `👤 ${lead.username} (${lead.followers} followers)`,
-        `lead_${lead.id}`
-      )
-    ]);
+    const [a, b] = samples.map(averageContentMetrics);
+    const line = (label, key, suffix = '') => {
+      const lead = a[key] === b[key] ? '' : a[key] > b[key] ? ' ◀️' : ' ▶️';
+      return `${label}: ${formatNumber(a[key])}${suffix} | ${formatNumber(b[key])}${suffix}${lead}\n`;
+    };
     
-    buttons.push([Markup.button.callback('🔙 Back', 'back_leads')]);
+    const message =
+      `⚖️ @${usernames[0]} vs @${usernames[1]}\n${profileLine(client)}` +
+      `Averages per post\n\n` +
+      line('📝 Posts analysed', 'posts') +
+      line('❤️ Likes', 'likes') +
+      line('💬 Comments', 'comments') +
+      line('👁️ Views', 'views') +
+      line('📊 Engagement', 'engagement', '%');
     
-    await ctx.editMessageText(
-      `👥 Leads (Page ${data.pagination.page}/${data.pagination.pages})\n` +
-      `Total: ${data.pagination.total}\n\n` +
-      `Select a lead:`,
-      Markup.inlineKeyboard(buttons)
-    );
+    await showOutput(ctx, {
+      text: message,
+      chart: client.chartOutput ? renderContentChart(usernames.map(name => `@${name}`), [a, b]) : null,
+      keyboard: Markup.inlineKeyboard([
+        [Markup.button.callback('⚖️ Compare Others', 'content_compare')],
+        [Markup.button.callback('🔙 Back to List', 'content_page_1')]
+      ])
+    });
   } catch (error) {
-    await ctx.editMessageText(`❌ Error: ${error.error || 'Failed to fetch leads'}`);
+    await ctx.reply(apiErrorMessage(error, 'Failed to compare accounts'));
   }
-});
+};
 
-// Lead Details
-bot.action(/lead_(\d+)/, async (ctx) => {
-  await ctx.answerCbQuery('👁️ Loading lead details...');
-  const client = await getClient(ctx.from.id);
-  const leadId = ctx.match[1];
+// Chart / Text Toggle
+bot.action(/^output_toggle_(stats|platforms|content_(\d+))$/, async (ctx) => {
+  const client = await getClient(accountId(ctx));
+  if (!client) {
+    await ctx.answerCbQuery();
+    return showOutput(ctx, { text: t(ctx, 'token_required') });
+  }
+  
+  client.chartOutput = !client.chartOutput;
+  await Client.updateOne(
+    { telegramId: accountId(ctx) },
+    { chartOutput: client.chartOutput }
+  );
+  await ctx.answerCbQuery(client.chartOutput ? '📊 Showing charts' : '📝 Showing text');
   
   try {
-    const data = await makeApiRequest(client, `/leads/${leadId}`);
-    const lead = data.data;
-    
-    const message = 
-      `👤 Lead Details\n\n` +
-      `🆔 Username: @${lead.username}\n` +
-      `👤 Name: ${lead.full_name || 'N/A'}\n` +
-      `📊 Followers: ${lead.followers?.toLocaleString() || 0}\n` +
-      `📧 Email: ${lead.emails || 'Not available'}\n` +
-      `📱 Platform: ${lead.platform}`;
-    
-    const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('🔙 Back to List', type === 'ready' ? 'leads_ready' : 'leads_all')]
-    ]);
+    if (ctx.match[1] === 'stats') {
+      return await showStats(ctx, client);
+    }
     
-    await ctx.editMessageText(message, keyboard);
+    const { message, chart, keyboard } = ctx.match[1] === 'platforms'
+      ? await renderContentPlatforms(client)
+      : await renderContentAnalysisPage(client, Number(ctx.match[2]), currentContentView(ctx));
+    await showOutput(ctx, { text: message, chart, keyboard });
   } catch (error) {
-    await ctx.editMessageText(`❌ Error: ${error.error || 'Failed to fetch lead'}`);
+    await showOutput(ctx, { text: apiErrorMessage(error, 'Failed to load data') });
   }
 });
 
-// Statistics
-bot.hears('📉 Statistics', async (ctx) => {
-  await reactToMessage(ctx, '👀');
-  const client = await getClient(ctx.from.id);
-  if (!client) return ctx.reply('❌ Please set your token first: /settoken');
-  
-  const loadingMsg = await ctx.reply('👁️ Fetching statistics...');
+// Audit Log
+const AUDIT_EXPORT_COLUMNS = ['createdAt', 'actorId', 'actorName', 'chatId', 'action', 'resourceId', 'status', 'success', 'detail'];
+const AUDIT_EXPORT_MAX = 50000;
+const AUDIT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const auditUsage =
+  '📜 Audit Log\n\n' +
+  '/audit [filters] - Show recent entries\n' +
+  '/audit export [csv|json|xlsx] [filters] - Export as a file\n\n' +
+  'Filters:\n' +
+  'action=job.delete (or a prefix like action=job)\n' +
+  'user=<telegram id|@username>\n' +
+  'from=YYYY-MM-DD to=YYYY-MM-DD\n\n' +
+  `Entries are kept for ${AUDIT_RETENTION_DAYS} days.`;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Parse key=value filters; dates are checked here and resolved by buildAuditQuery
+const parseAuditFilters = (args) => {
+  const filters = {};
   
-  try {
-    const data = await makeApiRequest(client, '/stats');
-    const stats = data.data;
-    
-    const message = 
-      `📊 Statistics Dashboard\n\n` +
-      `👥 Total Leads: ${stats.total_leads?.toLocaleString() || 0}\n` +
-      `📊 Total Jobs: ${stats.total_jobs || 0}\n` +
-      `🎯 Total Targets: ${stats.total_targets || 0}\n` +
-      `📈 Content Analysis: ${stats.total_content_analysis || 0}\n\n` +
-      `🔑 API Usage:\n` +
-      `├ Total Requests: ${stats.total_api_requests?.toLocaleString() || 0}\n` +
-      `├ Today: ${stats.today_api_requests || 0}\n` +
-      `├ Token Requests: ${stats.token_requests || 0}\n` +
-      `└ Last Used: ${stats.token_last_used ? new Date(stats.token_last_used).toLocaleString() : 'Never'}`;
+  for (const arg of args) {
+    const [key, value] = arg.split('=');
+    if (!value) return null;
     
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      loadingMsg.message_id,
-      null,
-      message
-    );
-    await reactToMessage(ctx, '✅');
-  } catch (error) {
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      loadingMsg.message_id,
-      null,
-      `❌ Error: ${error.error || 'Failed to fetch statistics'}`
-    );
-    await reactToMessage(ctx, '❌');
+    if (key === 'action') {
+      filters.action = value;
+    } else if (key === 'user') {
+      filters.user = value;
+    } else if ((key === 'from' || key === 'to') && AUDIT_DATE_PATTERN.test(value)) {
+      if (!parseLocalDateTime(`${value} 00:00`, 'UTC')) return null;
+      filters[key] = value;
+    } else {
+      return null;
+    }
   }
-});
+  
+  return filters;
+};
+
+// Dates are whole days in the account's timezone, both ends inclusive
+const buildAuditQuery = (account, filters, timezone) => {
+  const query = { accountId: account };
+  
+  if (filters.action) {
+    query.action = new RegExp(`^${escapeRegex(filters.action)}(\\.|$)`);
+  }
+  if (filters.user) {
+    if (/^\d+$/.test(filters.user)) {
+      query.actorId = filters.user;
+    } else {
+      query.actorName = filters.user.startsWith('@') ? filters.user : `@${filters.user}`;
+    }
+  }
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) {
+      query.createdAt.$gte = parseLocalDateTime(`${filters.from} 00:00`, timezone);
+    }
+    if (filters.to) {
+      query.createdAt.$lt = new Date(parseLocalDateTime(`${filters.to} 00:00`, timezone).getTime() + DAY_MS);
+    }
+  }
+  
+  return query;
+};
+
+const describeAuditFilters = (filters) => {
+  const parts = [];
+  if (filters.action) parts.push(`action ${filters.action}`);
+  if (filters.user) parts.push(`user ${filters.user}`);
+  if (filters.from) parts.push(`from ${filters.from}`);
+  if (filters.to) parts.push(`to ${filters.to}`);
+  return parts.length > 0 ? parts.join(', ') : 'none';
+};
+
+const formatAuditEntry = (entry, timezone) => {
+  return (
+    `${entry.success ? '✅' : '❌'} ${formatInTimezone(entry.createdAt, timezone)}\n` +
+    `   👤 ${entry.actorName || entry.actorId || 'unknown'} · ${entry.action}` +
+    (entry.resourceId ? ` #${entry.resourceId}` : '') +
+    (entry.status ? ` · HTTP ${entry.status}` : '') +
+    (entry.detail ? `\n   📝 ${entry.detail}` : '')
+  );
+};
 
-// Content Analysis
-bot.hears('📈 Content Analysis', async (ctx) => {
-  await reactToMessage(ctx, '👀');
-  const client = await getClient(ctx.from.id);
-  if (!client) return ctx.reply('❌ Please set your token first: /settoken');
+const showAuditPage = async (ctx, client, page) => {
+  const filters = ctx.session.auditFilters || {};
+  const query = buildAuditQuery(accountId(ctx), filters, client.timezone);
+  const perPage = client.pageSize;
+  
+  const total = await AuditEntry.countDocuments(query);
+  if (total === 0) {
+    return respond(ctx, `📭 No audit entries found.\n\n🔎 Filters: ${describeAuditFilters(filters)}`);
+  }
+  
+  const pages = Math.ceil(total / perPage);
+  const entries = await AuditEntry.find(query)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * perPage)
+    .limit(perPage);
   
-  const loadingMsg = await ctx.reply('👁️ Loading content analysis...');
+  await respond(
+    ctx,
+    `📜 Audit Log (Page ${page}/${pages}, ${total} entries)\n` +
+    `🔎 Filters: ${describeAuditFilters(filters)}\n\n` +
+    entries.map(entry => formatAuditEntry(entry, client.timezone)).join('\n\n'),
+    Markup.inlineKeyboard(paginationButtons('audit_page_', page, pages))
+  );
+};
+
+const exportAudit = async (ctx, client, format, filters) => {
+  const query = buildAuditQuery(accountId(ctx), filters, client.timezone);
+  const filePath = path.join(os.tmpdir(), `audit-${accountId(ctx)}-${Date.now()}.${format}`);
+  const writer = createExportWriter(format, filePath, AUDIT_EXPORT_COLUMNS, 'Audit');
   
   try {
-    const data = await makeApiRequest(client, '/content-analysis?page=1&per_page=5');
-    
-    if (data.data.length === 0) {
-      await reactToMessage(ctx, '🤷');
-      return ctx.telegram.editMessageText(
-        ctx.chat.id,
-        loadingMsg.message_id,
-        null,
-        '📭 No content analysis data found.'
-      );
+    let count = 0;
+    const cursor = AuditEntry.find(query).sort({ createdAt: -1 }).limit(AUDIT_EXPORT_MAX).lean().cursor();
+    for await (const entry of cursor) {
+      await writer.addRow({
+        ...entry,
+        createdAt: entry.createdAt.toISOString(),
+        actorId: exportValue(entry.actorId),
+        actorName: exportValue(entry.actorName),
+        chatId: exportValue(entry.chatId),
+        resourceId: exportValue(entry.resourceId),
+        status: exportValue(entry.status),
+        detail: exportValue(entry.detail)
+      });
+      count++;
     }
+    await writer.finish();
     
-    let message = `📈 Content Analysis (Page 1/${data.pagination.pages})\n\n`;
-    
-    data.data.forEach((content, idx) => {
-      message += 
-        `${idx + 1}. 📱 ${content.platform} - @${content.username}\n` +
-        `   ❤️ Likes: ${content.likes_count?.toLocaleString() || 0}\n` +
-        `   💬 Comments: ${content.comments_count || 0}\n` +
-        `   👁️ Views: ${content.views_count?.toLocaleString() || 0}\n` +
-        `   📊 Engagement: ${content.engagement_rate || 'N/A'}\n\n`;
-    });
-    
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      loadingMsg.message_id,
-      null,
-      message
-    );
-    await reactToMessage(ctx, '✅');
-  } catch (error) {
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      loadingMsg.message_id,
-      null,
-      `❌ Error: ${error.error || 'Failed to fetch content analysis'}`
+    const date = new Date().toISOString().slice(0, 10);
+    await ctx.replyWithDocument(
+      { source: filePath, filename: `audit-${date}.${format}` },
+      { caption: `📜 ${count} audit entries\n🔎 Filters: ${describeAuditFilters(filters)}` }
     );
-    await reactToMessage(ctx, '❌');
+    await recordAudit(ctx, 'audit.export', { detail: `${format}, ${count} entries` });
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+};
+
+bot.command('audit', async (ctx) => {
+  if (!await checkPermission(ctx, 'view_audit')) return;
+  const client = await getClient(accountId(ctx));
+  if (!client) {
+    return ctx.reply('❌ Please set your API token first using /settoken');
+  }
+  
+  let args = ctx.message.text.split(/\s+/).slice(1);
+  if (args[0] === 'help') return ctx.reply(auditUsage);
+  
+  const exporting = args[0] === 'export';
+  let format = 'csv';
+  if (exporting) {
+    args = args.slice(1);
+    if (EXPORT_FORMATS[args[0]]) {
+      format = args[0];
+      args = args.slice(1);
+    }
+  }
+  
+  const filters = parseAuditFilters(args);
+  if (!filters) return ctx.reply(`❌ Couldn't read those filters.\n\n${auditUsage}`);
+  
+  if (exporting) {
+    try {
+      await exportAudit(ctx, client, format, filters);
+    } catch (error) {
+      logger.error('Audit export failed', { error });
+      await ctx.reply('❌ Error: Failed to export the audit log');
+    }
+    return;
   }
+  
+  ctx.session.auditFilters = filters;
+  await showAuditPage(ctx, client, 1);
+});
+
+bot.action(/^audit_page_(\d+)$/, async (ctx) => {
+  if (!await checkPermission(ctx, 'view_audit')) return;
+  await ctx.answerCbQuery();
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  
+  await showAuditPage(ctx, client, Number(ctx.match[1]));
 });
 
 // Settings
-bot.hears('⚙️ Settings', async (ctx) => {
+bot.hears(menuLabels('menu.settings'), async (ctx) => {
   await reactToMessage(ctx, '⚙️');
-  const client = await getClient(ctx.from.id);
+  const client = await getClient(accountId(ctx));
   
   if (!client) {
-    return ctx.reply('❌ Please set your token first: /settoken');
+    return ctx.reply(t(ctx, 'token_required'));
   }
   
   const message = 
     `⚙️ Settings\n\n` +
     `🆔 Telegram ID: ${ctx.from.id}\n` +
-    `🔑 Token: ${client.apiToken.substring(0, 10)}...\n` +
-    `🌐 Base URL: ${client.baseUrl}\n` +
-    `📅 Created: ${client.createdAt.toLocaleString()}\n\n` +
+    (isGroupChat(ctx) ? `👥 Workspace: ${ctx.chat.title} (${ROLE_LABELS[ctx.state.role]})\n` : '') +
+    profileLine(client) +
+    `🔑 Token: ${maskToken(client.profile)}\n` +
+    `🌐 Base URL: ${client.profile.baseUrl}\n` +
+    `🩺 Credentials: ${describeCredentialHealth(client.profile, client.timezone)}\n` +
+    `📄 Page Size: ${client.pageSize}\n` +
+    `🌍 Timezone: ${client.timezone}\n` +
+    `🗣️ Language: ${LANGUAGES[userLanguage(ctx)].name}\n` +
+    `📊 Output: ${client.chartOutput ? 'Charts' : 'Text'}\n` +
+    `📬 Digest: ${describeDigest(client)}\n` +
+    `📅 Created: ${formatDate(client.createdAt, client.timezone)}\n\n` +
     `Commands:\n` +
     `/settoken - Update API token\n` +
     `/seturl - Update base URL\n` +
-    `/deleteaccount - Remove your data`;
+    `/profile - Manage API profiles\n` +
+    `/pagesize - Set items per list page\n` +
+    `/timezone - Set your timezone\n` +
+    `/language - Choose the bot language\n` +
+    `/schedules - Manage scheduled runs\n` +
+    `/digest - Statistics digests\n` +
+    `/pipeline - Lead stages and tags\n` +
+    `/templates - Outreach message templates\n` +
+    `/team - Share credentials with a group\n` +
+    `/audit - Who did what, and when\n` +
+    `/deleteaccount - Remove your data\n\n` +
+    `📖 /help lists every command`;
   
   await ctx.reply(message);
 });
 
 // Delete Account
 bot.command('deleteaccount', async (ctx) => {
+  if (isGroupChat(ctx)) {
+    return ctx.reply('👥 This group uses a workspace. The owner can remove it with /team delete.');
+  }
+  
   const keyboard = Markup.inlineKeyboard([
     [
       Markup.button.callback('✅ Yes, Delete', 'confirm_delete_account'),
@@ -576,9 +7154,14 @@ bot.command('deleteaccount', async (ctx) => {
 });
 
 bot.action('confirm_delete_account', async (ctx) => {
+  if (!await checkPermission(ctx, 'delete_workspace')) return;
   await ctx.answerCbQuery('👁️ Deleting account...');
   
-  await Client.deleteOne({ telegramId: ctx.from.id.toString() });
+  await Client.deleteOne({ telegramId: accountId(ctx) });
+  await StatsSnapshot.deleteMany({ telegramId: accountId(ctx) });
+  await LeadRecord.deleteMany({ accountId: accountId(ctx) });
+  await Reminder.deleteMany({ accountId: accountId(ctx) });
+  await recordAudit(ctx, 'account.delete');
   
   // React to the message
   try {
@@ -600,7 +7183,7 @@ bot.action('cancel_delete', async (ctx) => {
 bot.action('back_menu', async (ctx) => {
   await ctx.answerCbQuery();
   await ctx.deleteMessage();
-  await ctx.reply('Choose an option:', mainMenu);
+  await ctx.reply(t(ctx, 'choose_option'), mainMenu(ctx));
 });
 
 bot.action('back_jobs', async (ctx) => {
@@ -610,49 +7193,713 @@ bot.action('back_jobs', async (ctx) => {
     [Markup.button.callback('➕ Create New Job', 'jobs_create')],
     [Markup.button.callback('🔙 Back to Menu', 'back_menu')]
   ]);
-  await ctx.editMessageText('📊 Job Management\n\nChoose an action:', keyboard);
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  await ctx.editMessageText(`📊 Job Management\n${profileLine(client)}\nChoose an action:`, keyboard);
 });
 
 bot.action('back_targets', async (ctx) => {
   await ctx.answerCbQuery();
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📋 List Targets', 'targets_list')],
-    [Markup.button.callback('➕ Create Target', 'targets_create')],
-    [Markup.button.callback('🔙 Back', 'back_menu')]
-  ]);
-  await ctx.editMessageText('🎯 Target Management\n\nChoose an action:', keyboard);
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  await ctx.editMessageText(`🎯 Target Management\n${profileLine(client)}\nChoose an action:`, targetsMenuKeyboard);
 });
 
 bot.action('back_leads', async (ctx) => {
   await ctx.answerCbQuery();
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📋 All Leads', 'leads_all')],
-    [Markup.button.callback('✅ Outreach Ready', 'leads_ready')],
-    [Markup.button.callback('🔙 Back', 'back_menu')]
-  ]);
-  await ctx.editMessageText('👥 Leads Management\n\nChoose an option:', keyboard);
+  const client = await getClient(accountId(ctx));
+  if (!client) return ctx.editMessageText(t(ctx, 'token_required'));
+  await ctx.editMessageText(`👥 Leads Management\n${profileLine(client)}\nChoose an option:`, leadsMenuKeyboard);
+});
+
+// Command Menu
+// Registered with setMyCommands so Telegram suggests them; private-only commands
+// are left out of the group menu. Descriptions are keyed by language code, one per
+// entry in LANGUAGES, and DEFAULT_COMMAND_LANGUAGE also fills the menu for every
+// other language.
+const DEFAULT_COMMAND_LANGUAGE = 'en';
+
+const BOT_COMMANDS = [
+  { command: 'start', usage: '/start', description: { en: 'Show the main menu', es: 'Mostrar el menú principal', hi: 'मुख्य मेनू दिखाएँ' } },
+  { command: 'help', usage: '/help', description: { en: 'List all commands', es: 'Ver todos los comandos', hi: 'सभी कमांड देखें' } },
+  { command: 'jobs', usage: '/jobs [page]', description: { en: 'List jobs', es: 'Ver trabajos', hi: 'जॉब्स की सूची' } },
+  { command: 'job', usage: '/job <id>', description: { en: 'Show a job', es: 'Ver un trabajo', hi: 'एक जॉब देखें' } },
+  { command: 'run', usage: '/run <id>', description: { en: 'Run a job', es: 'Ejecutar un trabajo', hi: 'जॉब चलाएँ' } },
+  { command: 'schedules', usage: '/schedules', description: { en: 'Manage scheduled runs', es: 'Gestionar ejecuciones programadas', hi: 'शेड्यूल किए गए रन प्रबंधित करें' } },
+  { command: 'targets', usage: '/targets [page]', description: { en: 'List targets', es: 'Ver objetivos', hi: 'टारगेट की सूची' } },
+  { command: 'leads', usage: '/leads [ready] [page] | /leads search <text>', description: { en: 'List or search leads', es: 'Ver o buscar prospectos', hi: 'लीड्स देखें या खोजें' } },
+  { command: 'lead', usage: '/lead <id|@username>', description: { en: 'Open a lead card', es: 'Abrir la ficha de un prospecto', hi: 'लीड कार्ड खोलें' } },
+  { command: 'pipeline', usage: '/pipeline [stage <stage>|tag <tag>]', description: { en: 'Lead stages and tags', es: 'Etapas y etiquetas de prospectos', hi: 'लीड के चरण और टैग' } },
+  { command: 'templates', usage: '/templates', description: { en: 'Outreach message templates', es: 'Plantillas de mensajes de contacto', hi: 'आउटरीच संदेश टेम्पलेट' } },
+  { command: 'content', usage: '/content [page]', description: { en: 'Content analysis', es: 'Análisis de contenido', hi: 'कंटेंट विश्लेषण' } },
+  { command: 'stats', usage: '/stats', description: { en: 'Show statistics', es: 'Ver estadísticas', hi: 'आँकड़े देखें' } },
+  { command: 'digest', usage: '/digest [on|off|time HH:MM]', description: { en: 'Statistics digests', es: 'Resúmenes de estadísticas', hi: 'आँकड़ों का सारांश' } },
+  { command: 'settoken', usage: '/settoken <token>', description: { en: 'Update API token', es: 'Actualizar el token de la API', hi: 'API टोकन अपडेट करें' }, privateOnly: true },
+  { command: 'seturl', usage: '/seturl <url>', description: { en: 'Update base URL', es: 'Actualizar la URL base', hi: 'बेस URL अपडेट करें' } },
+  { command: 'profile', usage: '/profile', description: { en: 'Manage API profiles', es: 'Gestionar perfiles de la API', hi: 'API प्रोफ़ाइल प्रबंधित करें' } },
+  { command: 'pagesize', usage: '/pagesize <size>', description: { en: 'Set items per list page', es: 'Elementos por página de lista', hi: 'हर सूची पेज पर आइटम सेट करें' } },
+  { command: 'timezone', usage: '/timezone <zone>', description: { en: 'Set your timezone', es: 'Configurar tu zona horaria', hi: 'अपना टाइमज़ोन सेट करें' } },
+  { command: 'language', usage: '/language [en|es|hi]', description: { en: 'Choose the bot language', es: 'Elegir el idioma del bot', hi: 'बॉट की भाषा चुनें' } },
+  { command: 'team', usage: '/team', description: { en: 'Share credentials with a group', es: 'Compartir credenciales con un grupo', hi: 'ग्रुप के साथ क्रेडेंशियल साझा करें' } },
+  { command: 'audit', usage: '/audit [filters]', description: { en: 'Who did what, and when', es: 'Quién hizo qué y cuándo', hi: 'किसने क्या और कब किया' } },
+  { command: 'deleteaccount', usage: '/deleteaccount', description: { en: 'Remove your data', es: 'Eliminar tus datos', hi: 'अपना डेटा हटाएँ' }, privateOnly: true }
+];
+
+// The default menu already covers DEFAULT_COMMAND_LANGUAGE
+const COMMAND_LANGUAGES = [...new Set(BOT_COMMANDS.flatMap(entry => Object.keys(entry.description)))]
+  .filter(language => language !== DEFAULT_COMMAND_LANGUAGE);
+
+const commandMenu = (language, includePrivate) => BOT_COMMANDS
+  .filter(entry => includePrivate || !entry.privateOnly)
+  .map(entry => ({
+    command: entry.command,
+    description: entry.description[language] || entry.description[DEFAULT_COMMAND_LANGUAGE]
+  }));
+
+// The menu is cosmetic, so a failure is logged and the bot keeps running
+const registerCommandMenu = async () => {
+  const scopes = [
+    { scope: { type: 'all_private_chats' }, includePrivate: true },
+    { scope: { type: 'all_group_chats' }, includePrivate: false }
+  ];
+  
+  try {
+    for (const { scope, includePrivate } of scopes) {
+      await bot.telegram.setMyCommands(commandMenu(DEFAULT_COMMAND_LANGUAGE, includePrivate), { scope });
+      for (const language of COMMAND_LANGUAGES) {
+        await bot.telegram.setMyCommands(commandMenu(language, includePrivate), { scope, language_code: language });
+      }
+    }
+    logger.info('Command menu registered', { languages: COMMAND_LANGUAGES });
+  } catch (error) {
+    logger.warn('Failed to register command menu', { error });
+  }
+};
+
+bot.command('help', async (ctx) => {
+  const language = userLanguage(ctx);
+  const commands = BOT_COMMANDS.filter(entry => !isGroupChat(ctx) || !entry.privateOnly);
+  
+  await ctx.reply(
+    `${t(ctx, 'help.title')}\n\n` +
+    commands.map(entry => `${entry.usage}\n   ${entry.description[language] || entry.description[DEFAULT_COMMAND_LANGUAGE]}`).join('\n') +
+    `\n\n${t(ctx, 'help.footer')}`
+  );
 });
 
 // Cancel
-bot.hears('❌ Cancel', async (ctx) => {
-  await ctx.reply('Operation cancelled.', mainMenu);
+bot.hears(menuLabels('menu.cancel'), async (ctx) => {
+  await ctx.reply(t(ctx, 'cancelled'), mainMenu(ctx));
 });
 
 // Error Handler
+// The error is already logged, with the update's correlation id, by the metrics middleware
 bot.catch((err, ctx) => {
-  console.error('Bot Error:', err);
-  ctx.reply('❌ An error occurred. Please try again.');
+  ctx.reply(t(ctx, 'error')).catch(() => {});
 });
 
-// Launch Bot
-bot.launch().then(() => {
-  console.log('🤖 Bot is running!');
+// Backend Events
+// The lead-generation backend pushes events to POST /hooks/events, signed with
+// HMAC-SHA256 over "<timestamp>.<raw body>" using EVENTS_HMAC_SECRET. Events name
+// their owner by the SHA-256 fingerprint of the API token, which both sides know.
+const EVENTS_HMAC_SECRET = process.env.EVENTS_HMAC_SECRET;
+const EVENT_MAX_SKEW = 5 * 60 * 1000;
+const EVENT_TYPES = ['job.finished', 'job.failed', 'lead.outreach_ready'];
+
+const verifyEventSignature = (rawBody, timestamp, signature) => {
+  if (!timestamp || !signature) return false;
+  // NaN would slip through the skew comparison
+  if (!Number.isFinite(Number(timestamp))) return false;
+  if (Math.abs(Date.now() - Number(timestamp) * 1000) > EVENT_MAX_SKEW) return false;
+  
+  const expected = crypto
+    .createHmac('sha256', EVENTS_HMAC_SECRET)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  const received = signature.replace(/^sha256=/, '');
+  
+  return received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+};
+
+const deliverJobEvent = async (client, job) => {
+  // A running progress tracker is closed by the event instead of the next poll
+  const watch = await JobWatch.findOne({ telegramId: client.telegramId, jobId: String(job.id) });
+  if (watch) return finishJobWatch(watch, job);
+  
+  await sendJobResult(client.telegramId, job);
+};
+
+const deliverLeadEvent = async (client, lead) => {
+  await bot.telegram.sendMessage(
+    client.telegramId,
+    `🎯 New outreach-ready lead\n${profileLine(client)}\n${formatLeadCard(lead)}`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback('✉️ All Outreach Ready', 'leads_ready')]
+    ])
+  );
+};
+
+// Returns the number of Telegram users the event was delivered to
+const routeBackendEvent = async ({ type, token_fingerprint: fingerprint, data }) => {
+  const owners = await Client.find({ 'profiles.tokenFingerprint': fingerprint });
+  let delivered = 0;
+  
+  for (const owner of owners) {
+    for (const profile of owner.profiles.filter(p => p.tokenFingerprint === fingerprint)) {
+      const client = await getClient(owner.telegramId, profile.name);
+      if (!client) continue;
+      
+      try {
+        if (type === 'lead.outreach_ready') {
+          await deliverLeadEvent(client, data);
+        } else {
+          await deliverJobEvent(client, {
+            ...data,
+            status: data.status || (type === 'job.finished' ? 'finished' : 'failed')
+          });
+        }
+        delivered++;
+      } catch (error) {
+        logger.error('Event delivery failed', { type, telegramId: owner.telegramId, error });
+      }
+    }
+  }
+  
+  return delivered;
+};
+
+const handleBackendEvent = async (req, res) => {
+  if (!EVENTS_HMAC_SECRET) {
+    return res.status(404).json({ error: 'Events are not enabled' });
+  }
+  
+  const rawBody = req.body.toString('utf8');
+  if (!verifyEventSignature(rawBody, req.get('X-Hook-Timestamp'), req.get('X-Hook-Signature'))) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+  
+  let event;
+  try {
+    event = JSON.parse(rawBody);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
+  
+  if (!EVENT_TYPES.includes(event.type) || !event.token_fingerprint || !event.data?.id) {
+    return res.status(400).json({ error: 'Expected type, token_fingerprint and data.id' });
+  }
+  
+  try {
+    const delivered = await routeBackendEvent(event);
+    res.status(202).json({ delivered });
+  } catch (error) {
+    logger.error('Event routing failed', { error });
+    res.status(500).json({ error: 'Event routing failed' });
+  }
+};
+
+// Admin API
+// Operator endpoints under /admin, authenticated with "Authorization: Bearer <ADMIN_API_TOKEN>".
+// Disabled (404) when ADMIN_API_TOKEN is not set.
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+const ADMIN_PAGE_SIZE_MAX = 100;
+const USAGE_WINDOW_DAYS = 30;
+// Telegram allows about 30 messages per second across all chats; stay below it
+const BROADCAST_INTERVAL = 1000 / 25;
+const BROADCAST_MAX_FAILURES_KEPT = 100;
+const BROADCAST_HEARTBEAT_INTERVAL = 30 * 1000;
+const BROADCAST_STALE_AFTER = 5 * 60 * 1000;
+const BROADCAST_STALE_CHECK_INTERVAL = 60 * 1000;
+
+const adminAuth = (req, res, next) => {
+  if (!ADMIN_API_TOKEN) {
+    return res.status(404).json({ error: 'Admin API is not enabled' });
+  }
+  
+  // The dashboard page itself is public; it asks for the token and calls the API
+  if (req.method === 'GET' && req.path === '/') return next();
+  
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!secretMatches(token, ADMIN_API_TOKEN)) return res.status(401).json({ error: 'Invalid admin token' });
+  next();
+};
+
+const adminClientView = (client) => ({
+  telegramId: client.telegramId,
+  activeProfile: client.activeProfile,
+  profiles: client.profiles.map(profile => ({
+    name: profile.name,
+    token: maskToken(profile),
+    baseUrl: profile.baseUrl,
+    credentialStatus: profile.credentialStatus,
+    credentialCheckedAt: profile.credentialCheckedAt || null,
+    createdAt: profile.createdAt
+  })),
+  workspace: client.telegramId.startsWith('-'),
+  revokedAt: client.revokedAt || null,
+  reverifyRequired: client.reverifyRequired,
+  blockedAt: client.blockedAt || null,
+  createdAt: client.createdAt,
+  lastUsed: client.lastUsed
+});
+
+// Wrap async route handlers so errors end up as 500 JSON responses
+const adminRoute = (handler) => async (req, res) => {
+  try {
+    await handler(req, res);
+  } catch (error) {
+    logger.error('Admin request failed', { method: req.method, path: req.path, error });
+    res.status(500).json({ error: 'Internal error' });
+  }
+};
+
+const findAdminClient = async (req, res) => {
+  const client = await Client.findOne({ telegramId: req.params.telegramId });
+  if (!client) res.status(404).json({ error: 'Client not found' });
+  return client;
+};
+
+const adminRouter = express.Router();
+adminRouter.use(adminAuth);
+adminRouter.use(express.json({ limit: '100kb' }));
+
+adminRouter.get('/clients', adminRoute(async (req, res) => {
+  const page = Math.max(Number(req.query.page) || 1, 1);
+  const perPage = Math.min(Math.max(Number(req.query.per_page) || 20, 1), ADMIN_PAGE_SIZE_MAX);
+  const query = {};
+  
+  if (req.query.search) {
+    const pattern = new RegExp(escapeRegex(req.query.search), 'i');
+    query.$or = [{ telegramId: pattern }, { 'profiles.name': pattern }, { 'profiles.baseUrl': pattern }];
+  }
+  if (req.query.status === 'revoked') query.revokedAt = { $ne: null };
+  if (req.query.status === 'blocked') query.blockedAt = { $ne: null };
+  
+  const total = await Client.countDocuments(query);
+  const clients = await Client.find(query)
+    .sort({ lastUsed: -1 })
+    .skip((page - 1) * perPage)
+    .limit(perPage);
+  
+  res.json({
+    data: clients.map(adminClientView),
+    pagination: { page, per_page: perPage, total, pages: Math.ceil(total / perPage) }
+  });
+}));
+
+adminRouter.get('/clients/:telegramId', adminRoute(async (req, res) => {
+  const client = await findAdminClient(req, res);
+  if (client) res.json({ data: adminClientView(client) });
+}));
+
+// Usage from the bot's own records: audited actions, schedules and the latest backend stats
+adminRouter.get('/clients/:telegramId/usage', adminRoute(async (req, res) => {
+  const client = await findAdminClient(req, res);
+  if (!client) return;
+  
+  const since = new Date(Date.now() - USAGE_WINDOW_DAYS * DAY_MS);
+  const actions = await AuditEntry.aggregate([
+    { $match: { accountId: client.telegramId, createdAt: { $gte: since } } },
+    { $group: { _id: '$action', count: { $sum: 1 }, failed: { $sum: { $cond: ['$success', 0, 1] } } } },
+    { $sort: { count: -1 } }
+  ]);
+  const latestStats = await StatsSnapshot.findOne({ telegramId: client.telegramId }).sort({ createdAt: -1 });
+  
+  res.json({
+    data: {
+      telegramId: client.telegramId,
+      lastUsed: client.lastUsed,
+      windowDays: USAGE_WINDOW_DAYS,
+      actions: actions.map(({ _id, count, failed }) => ({ action: _id, count, failed })),
+      schedules: await Schedule.countDocuments({ telegramId: client.telegramId }),
+      trackedJobs: await JobWatch.countDocuments({ telegramId: client.telegramId }),
+      savedFilters: client.savedFilters.length,
+      backendStats: latestStats ? { ...latestStats.stats, takenAt: latestStats.createdAt } : null
+    }
+  });
+}));
+
+const setClientAccess = (action, update, message) => adminRoute(async (req, res) => {
+  const client = await Client.findOneAndUpdate(
+    { telegramId: req.params.telegramId },
+    update(),
+    { new: true }
+  );
+  if (!client) return res.status(404).json({ error: 'Client not found' });
+  
+  await recordAudit(null, action, { accountId: client.telegramId, actorName: 'admin api', detail: req.body?.reason });
+  if (message) {
+    bot.telegram.sendMessage(client.telegramId, message).catch(() => {});
+  }
+  res.json({ data: adminClientView(client) });
+});
+
+adminRouter.post('/clients/:telegramId/revoke', setClientAccess(
+  'admin.revoke',
+  () => ({ revokedAt: new Date() })
+));
+
+adminRouter.post('/clients/:telegramId/restore', setClientAccess(
+  'admin.restore',
+  () => ({ revokedAt: null }),
+  '✅ Your access to the bot has been restored.'
+));
+
+adminRouter.post('/clients/:telegramId/reverify', setClientAccess(
+  'admin.reverify',
+  () => ({ reverifyRequired: true }),
+  '🔑 Please verify your API token again with /settoken before continuing.'
+));
+
+// Broadcasts
+const broadcastView = (broadcast) => ({
+  id: broadcast._id,
+  status: broadcast.status,
+  text: broadcast.text,
+  filter: broadcast.filter,
+  total: broadcast.total,
+  sent: broadcast.sent,
+  blocked: broadcast.blocked,
+  failed: broadcast.failed,
+  failures: broadcast.failures,
+  error: broadcast.error,
+  createdAt: broadcast.createdAt,
+  finishedAt: broadcast.finishedAt
+});
+
+// The filter ends up in a Mongo query, so each field must have the expected type
+const broadcastFilterError = (filter) => {
+  if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+    return 'filter must be an object';
+  }
+  
+  const { telegramIds, activeSince, baseUrl } = filter;
+  if (telegramIds !== undefined && !(Array.isArray(telegramIds) && telegramIds.every(id => typeof id === 'string'))) {
+    return 'filter.telegramIds must be an array of strings';
+  }
+  if (activeSince !== undefined && (typeof activeSince !== 'string' || Number.isNaN(Date.parse(activeSince)))) {
+    return 'filter.activeSince must be a date';
+  }
+  if (baseUrl !== undefined && typeof baseUrl !== 'string') {
+    return 'filter.baseUrl must be a string';
+  }
+  return null;
+};
+
+// Private chats only; workspace records (negative chat ids) are skipped
+const broadcastQuery = (filter = {}) => {
+  const query = { telegramId: { $not: /^-/ }, revokedAt: null, blockedAt: null };
+  if (filter.telegramIds?.length) {
+    query.telegramId = { $in: filter.telegramIds.map(String).filter(id => !id.startsWith('-')) };
+  }
+  if (filter.activeSince) query.lastUsed = { $gte: new Date(filter.activeSince) };
+  if (filter.baseUrl) query['profiles.baseUrl'] = filter.baseUrl;
+  return query;
+};
+
+const sendBroadcastMessage = async (telegramId, text) => {
+  try {
+    await bot.telegram.sendMessage(telegramId, text);
+    return 'sent';
+  } catch (error) {
+    if (error.code === 429) {
+      await sleep((error.parameters?.retry_after || 1) * 1000);
+      return sendBroadcastMessage(telegramId, text);
+    }
+    if (error.code === 403) return 'blocked';
+    throw error;
+  }
+};
+
+const runBroadcast = async (broadcast) => {
+  const recipients = Client.find(broadcastQuery(broadcast.filter), 'telegramId').cursor();
+  
+  for await (const { telegramId } of recipients) {
+    try {
+      const result = await sendBroadcastMessage(telegramId, broadcast.text);
+      broadcast[result]++;
+      if (result === 'blocked') {
+        await Client.updateOne({ telegramId }, { blockedAt: new Date() });
+      }
+    } catch (error) {
+      broadcast.failed++;
+      if (broadcast.failures.length < BROADCAST_MAX_FAILURES_KEPT) {
+        broadcast.failures.push({ telegramId, error: error.description || error.message });
+      }
+    }
+    
+    if ((broadcast.sent + broadcast.blocked + broadcast.failed) % 50 === 0 ||
+      Date.now() - broadcast.heartbeatAt > BROADCAST_HEARTBEAT_INTERVAL) {
+      broadcast.heartbeatAt = new Date();
+      await broadcast.save();
+    }
+    await sleep(BROADCAST_INTERVAL);
+  }
+  
+  broadcast.status = 'finished';
+  broadcast.finishedAt = new Date();
+  await broadcast.save();
+};
+
+adminRouter.post('/broadcasts', adminRoute(async (req, res) => {
+  const { text, filter = {} } = req.body || {};
+  if (typeof text !== 'string' || !text.trim() || text.length > 4096) {
+    return res.status(400).json({ error: 'text is required (max 4096 characters)' });
+  }
+  const filterError = broadcastFilterError(filter);
+  if (filterError) return res.status(400).json({ error: filterError });
+  
+  // Only the known fields are stored and queried
+  const broadcastFilter = Object.fromEntries(
+    ['telegramIds', 'activeSince', 'baseUrl']
+      .filter(field => filter[field] !== undefined)
+      .map(field => [field, filter[field]])
+  );
+  
+  const broadcast = await Broadcast.create({
+    text,
+    filter: broadcastFilter,
+    total: await Client.countDocuments(broadcastQuery(broadcastFilter))
+  });
+  await recordAudit(null, 'admin.broadcast', {
+    accountId: 'admin',
+    actorName: 'admin api',
+    resourceId: String(broadcast._id),
+    detail: `${broadcast.total} recipients`
+  });
+  
+  runBroadcast(broadcast).catch(async (error) => {
+    logger.error('Broadcast failed', { broadcastId: String(broadcast._id), error });
+    await Broadcast.updateOne(
+      { _id: broadcast._id },
+      { status: 'failed', error: error.message, finishedAt: new Date() }
+    );
+  });
+  
+  res.status(202).json({ data: broadcastView(broadcast) });
+}));
+
+// Sending stops with the process, so a restart leaves broadcasts "running" with
+// no one sending them. Their counters are kept; they are marked failed, not resumed.
+const failStaleBroadcasts = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  
+  const staleBefore = new Date(Date.now() - BROADCAST_STALE_AFTER);
+  try {
+    const result = await Broadcast.updateMany(
+      {
+        status: 'running',
+        $or: [
+          { heartbeatAt: { $lt: staleBefore } },
+          // Started before heartbeats were recorded
+          { heartbeatAt: { $exists: false }, createdAt: { $lt: staleBefore } }
+        ]
+      },
+      { status: 'failed', error: 'Interrupted by a restart', finishedAt: new Date() }
+    );
+    if (result.modifiedCount > 0) {
+      logger.warn('Marked interrupted broadcasts as failed', { count: result.modifiedCount });
+    }
+  } catch (error) {
+    logger.error('Stale broadcast check failed', { error });
+  }
+};
+
+adminRouter.get('/broadcasts', adminRoute(async (req, res) => {
+  const broadcasts = await Broadcast.find().sort({ createdAt: -1 }).limit(20);
+  res.json({ data: broadcasts.map(broadcastView) });
+}));
+
+adminRouter.get('/broadcasts/:id', adminRoute(async (req, res) => {
+  const broadcast = mongoose.isValidObjectId(req.params.id) && await Broadcast.findById(req.params.id);
+  if (!broadcast) return res.status(404).json({ error: 'Broadcast not found' });
+  res.json({ data: broadcastView(broadcast) });
+}));
+
+// Dashboard: a static page that keeps the admin token in sessionStorage and calls the API above
+const ADMIN_DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bot Admin</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+  th, td { border-bottom: 1px solid #ddd; padding: .4rem; text-align: left; font-size: .9rem; }
+  button { margin-right: .3rem; }
+  section { margin-bottom: 2rem; }
+  .muted { color: #888; }
+  pre { background: #f5f5f5; padding: .5rem; }
+</style>
+</head>
+<body>
+<h1>Bot Admin</h1>
+<section>
+  <input id="token" type="password" placeholder="Admin token" size="40">
+  <button onclick="saveToken()">Use token</button>
+</section>
+<section>
+  <h2>Clients</h2>
+  <input id="search" placeholder="Telegram ID, profile or URL">
+  <select id="status"><option value="">All</option><option>revoked</option><option>blocked</option></select>
+  <button onclick="loadClients(1)">Search</button>
+  <table id="clients"></table>
+  <div id="pages"></div>
+  <pre id="usage" hidden></pre>
+</section>
+<section>
+  <h2>Broadcast</h2>
+  <textarea id="text" rows="4" cols="60" placeholder="Message"></textarea><br>
+  <label>Active since <input id="activeSince" type="date"></label>
+  <button onclick="broadcast()">Send</button>
+  <table id="broadcasts"></table>
+</section>
+<script>
+const esc = (v) => String(v ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const token = () => sessionStorage.getItem('adminToken') || '';
+const saveToken = () => { sessionStorage.setItem('adminToken', document.getElementById('token').value); loadClients(1); loadBroadcasts(); };
+const api = async (path, options = {}) => {
+  const res = await fetch('/admin' + path, { ...options, headers: { 'Authorization': 'Bearer ' + token(), 'Content-Type': 'application/json' } });
+  const body = await res.json();
+  if (!res.ok) { alert(body.error || res.status); throw new Error(body.error); }
+  return body;
+};
+const loadClients = async (page) => {
+  const search = encodeURIComponent(document.getElementById('search').value);
+  const status = document.getElementById('status').value;
+  const { data, pagination } = await api('/clients?page=' + page + '&search=' + search + '&status=' + status);
+  document.getElementById('clients').innerHTML = '<tr><th>Telegram ID</th><th>Profiles</th><th>Last used</th><th>Status</th><th></th></tr>' +
+    data.map(c => '<tr><td>' + esc(c.telegramId) + (c.workspace ? ' <span class="muted">(workspace)</span>' : '') + '</td>' +
+      '<td>' + c.profiles.map(p => esc(p.name + ' ' + p.token + ' ' + p.baseUrl)).join('<br>') + '</td>' +
+      '<td>' + esc(new Date(c.lastUsed).toLocaleString()) + '</td>' +
+      '<td>' + (c.revokedAt ? 'revoked' : c.blockedAt ? 'blocked bot' : c.reverifyRequired ? 'must re-verify' : 'active') + '</td>' +
+      '<td><button onclick="usage(\\'' + esc(c.telegramId) + '\\')">Usage</button>' +
+      (c.revokedAt
+        ? '<button onclick="access(\\'' + esc(c.telegramId) + '\\', \\'restore\\')">Restore</button>'
+        : '<button onclick="access(\\'' + esc(c.telegramId) + '\\', \\'revoke\\')">Revoke</button>') +
+      '<button onclick="access(\\'' + esc(c.telegramId) + '\\', \\'reverify\\')">Force re-verify</button></td></tr>').join('');
+  document.getElementById('pages').textContent = 'Page ' + pagination.page + ' of ' + Math.max(pagination.pages, 1) + ' (' + pagination.total + ' clients)';
+};
+const usage = async (id) => {
+  const { data } = await api('/clients/' + id + '/usage');
+  const el = document.getElementById('usage');
+  el.hidden = false;
+  el.textContent = JSON.stringify(data, null, 2);
+};
+const access = async (id, action) => {
+  if (!confirm(action + ' ' + id + '?')) return;
+  await api('/clients/' + id + '/' + action, { method: 'POST', body: '{}' });
+  loadClients(1);
+};
+const loadBroadcasts = async () => {
+  const { data } = await api('/broadcasts');
+  document.getElementById('broadcasts').innerHTML = '<tr><th>Created</th><th>Status</th><th>Sent</th><th>Blocked</th><th>Failed</th><th>Total</th><th>Text</th></tr>' +
+    data.map(b => '<tr><td>' + esc(new Date(b.createdAt).toLocaleString()) + '</td><td>' + esc(b.status + (b.error ? ': ' + b.error : '')) + '</td><td>' + b.sent + '</td><td>' + b.blocked + '</td><td>' + b.failed + '</td><td>' + b.total + '</td><td>' + esc(b.text.slice(0, 80)) + '</td></tr>').join('');
+  if (data.some(b => b.status === 'running')) setTimeout(loadBroadcasts, 3000);
+};
+const broadcast = async () => {
+  const text = document.getElementById('text').value;
+  const activeSince = document.getElementById('activeSince').value;
+  if (!confirm('Send this message to all matching users?')) return;
+  await api('/broadcasts', { method: 'POST', body: JSON.stringify({ text, filter: activeSince ? { activeSince } : {} }) });
+  loadBroadcasts();
+};
+if (token()) { document.getElementById('token').value = token(); loadClients(1); loadBroadcasts(); }
+</script>
+</body>
+</html>`;
+
+adminRouter.get('/', (req, res) => {
+  res.type('html').send(ADMIN_DASHBOARD_HTML);
 });
 
+// Resume tracking of jobs started before a restart
+setInterval(pollJobWatches, JOB_POLL_INTERVAL);
+
+// Fire scheduled runs, including any that came due while the bot was down
+setInterval(pollSchedules, SCHEDULE_POLL_INTERVAL);
+
+// Stats history snapshots are checked hourly; digests every minute
+setInterval(takeStatsSnapshots, Math.min(STATS_SNAPSHOT_INTERVAL, 60 * 60 * 1000));
+setInterval(pollDigests, DIGEST_POLL_INTERVAL);
+
+setInterval(pollReminders, REMINDER_POLL_INTERVAL);
+
+setInterval(flushLastUsed, LAST_USED_FLUSH_INTERVAL);
+
+// Re-verify API credentials and tell owners when they stop (or start) working
+setInterval(pollCredentials, CREDENTIAL_POLL_INTERVAL);
+
+setInterval(failStaleBroadcasts, BROADCAST_STALE_CHECK_INTERVAL);
+
 // Create Express server for Render port binding
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Webhook mode: set WEBHOOK_DOMAIN to the public URL of this server
+const WEBHOOK_DOMAIN = process.env.WEBHOOK_DOMAIN;
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/telegram/webhook';
+// Derived from the bot token when unset, so every instance registers the same secret
+const WEBHOOK_SECRET_TOKEN = process.env.WEBHOOK_SECRET_TOKEN ||
+  crypto.createHmac('sha256', process.env.BOT_TOKEN || '').update('telegram-webhook-secret').digest('hex');
+const WEBHOOK_URL = WEBHOOK_DOMAIN && `${WEBHOOK_DOMAIN.replace(/\/$/, '')}${WEBHOOK_PATH}`;
+
+// Health
+// Polling is alive while the getUpdates loop runs; a webhook is alive while
+// Telegram has our URL and reports no recent delivery errors.
+const HEALTH_CHECK_TIMEOUT = 3000;
+const WEBHOOK_INFO_TTL = 30 * 1000;
+const WEBHOOK_ERROR_WINDOW = 5 * 60;
+
+const botState = { running: false, error: null };
+let webhookInfoCache = { checkedAt: 0, info: null };
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timed out')), ms))
+]);
+
+const checkTelegram = async () => {
+  if (!WEBHOOK_DOMAIN) {
+    return { ok: botState.running, mode: 'polling', ...(botState.error && { error: botState.error }) };
+  }
+  
+  if (Date.now() - webhookInfoCache.checkedAt > WEBHOOK_INFO_TTL) {
+    webhookInfoCache = {
+      checkedAt: Date.now(),
+      info: await withTimeout(bot.telegram.getWebhookInfo(), HEALTH_CHECK_TIMEOUT)
+    };
+  }
+  
+  const { info } = webhookInfoCache;
+  const recentError = info.last_error_date && Date.now() / 1000 - info.last_error_date < WEBHOOK_ERROR_WINDOW;
+  return {
+    ok: botState.running && info.url === WEBHOOK_URL && !recentError,
+    mode: 'webhook',
+    pendingUpdates: info.pending_update_count,
+    ...(info.url !== WEBHOOK_URL && { error: 'Webhook URL is not set' }),
+    ...(recentError && { error: info.last_error_message })
+  };
+};
+
+const checkMongo = async () => {
+  if (mongoose.connection.readyState !== 1) {
+    return { ok: false, state: mongoose.connection.readyState };
+  }
+  await withTimeout(mongoose.connection.db.admin().ping(), HEALTH_CHECK_TIMEOUT);
+  return { ok: true, state: 1 };
+};
+
+// A failing check is reported, not thrown
+const runCheck = async (check) => {
+  try {
+    return await check();
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
 app.get('/', (req, res) => {
   res.json({
     status: 'active',
@@ -662,18 +7909,91 @@ app.get('/', (req, res) => {
   });
 });
 
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
-    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    bot: 'running'
+app.get('/health', async (req, res) => {
+  const checks = {
+    telegram: await runCheck(checkTelegram),
+    mongodb: await runCheck(checkMongo)
+  };
+  const healthy = Object.values(checks).every(check => check.ok);
+  
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'healthy' : 'unhealthy',
+    checks,
+    uptime: process.uptime()
   });
 });
 
-app.listen(PORT, () => {
-  console.log(`🌐 Server running on port ${PORT}`);
+// Set METRICS_TOKEN to require "Authorization: Bearer <token>" from the scraper
+app.get('/metrics', async (req, res) => {
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (process.env.METRICS_TOKEN && !secretMatches(token, process.env.METRICS_TOKEN)) {
+    return res.status(401).send('Unauthorized');
+  }
+  res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+});
+
+// Raw body is needed to check the HMAC signature
+app.post('/hooks/events', express.raw({ type: 'application/json', limit: '1mb' }), handleBackendEvent);
+
+app.use('/admin', adminRouter);
+
+// Target of the mailto buttons on rendered templates
+app.get('/mailto', (req, res) => {
+  const { to, body = '' } = req.query;
+  if (typeof to !== 'string' || typeof body !== 'string' || parseEmails(to)[0] !== to.toLowerCase()) {
+    return res.status(400).send('Invalid address');
+  }
+  res.redirect(`mailto:${to}?body=${encodeURIComponent(body.slice(0, MAILTO_BODY_MAX))}`);
+});
+
+// Telegram sends the secret token in a header, which Telegraf checks
+if (WEBHOOK_DOMAIN) {
+  app.use(bot.webhookCallback(WEBHOOK_PATH, { secretToken: WEBHOOK_SECRET_TOKEN }));
+}
+
+const server = app.listen(PORT, () => {
+  logger.info('Server listening', { port: server.address().port });
 });
 
-// Enable graceful stop
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+// Launch Bot
+if (WEBHOOK_DOMAIN) {
+  bot.telegram.setWebhook(WEBHOOK_URL, {
+    secret_token: WEBHOOK_SECRET_TOKEN
+  }).then(() => {
+    botState.running = true;
+    logger.info('Bot is running', { mode: 'webhook' });
+    registerCommandMenu();
+  }).catch((error) => {
+    botState.error = error.message;
+    logger.error('Failed to set webhook', { error });
+  });
+} else {
+  // launch() settles only when the polling loop ends
+  bot.launch(() => {
+    botState.running = true;
+    logger.info('Bot is running', { mode: 'polling' });
+    registerCommandMenu();
+  }).then(() => {
+    botState.running = false;
+    logger.info('Polling stopped');
+  }).catch((error) => {
+    botState.running = false;
+    botState.error = error.message;
+    logger.error('Polling failed', { error });
+  });
+}
+
+// Enable graceful stop; in webhook mode there is no polling loop, so stop accepting updates
+const stopBot = (reason) => {
+  flushLastUsed();
+  
+  if (WEBHOOK_DOMAIN) {
+    botState.running = false;
+    server.close();
+  } else {
+    bot.stop(reason);
+  }
+};
+
+process.once('SIGINT', () => stopBot('SIGINT'));
+process.once('SIGTERM', () => stopBot('SIGTERM'));